@@ -0,0 +1,63 @@
+/**
+ * Front-end Project Configuration
+ * Paths read by vite.config.js, the dev server plugins and the generator
+ * scripts. Relative paths are resolved from this folder, so the starter can
+ * be dropped into a .NET solution with a different layout by editing only
+ * this file. Validated on load by scripts/fe-config.js.
+ */
+
+export default {
+    // Source folders
+    src: {
+        views: 'src/views',
+        pages: 'src/views/pages',
+        components: 'src/views/components',
+        js: 'src/js',
+        scss: 'src/scss'
+    },
+
+    // Production build (`npm run build`): output folder and the URL it is served from.
+    // `hash` adds content hashes to entry file names for cache busting; `manifest`
+    // maps each entry (`global`, `Hero`...) to its files for the Razor views
+    dist: {
+        outDir: '../Web/wwwroot/dist',
+        base: '/dist',
+        hash: false,
+        manifest: 'manifest.json'
+    },
+
+    // Static assets (`npm run build:public`): raw fonts and images, the folder the
+    // optimized copies are written to, and the image manifest inside it that the
+    // `picture` macros read
+    public: {
+        src: 'src/assets-raw',
+        outDir: 'public',
+        imageManifest: 'images/manifest.json'
+    },
+
+    // Max gzip/brotli size in kB per build entry (JS + imported chunks + CSS);
+    // `default` applies to every entry without its own budget
+    budgets: {
+        default: {gzip: 20, brotli: 18},
+        global: {gzip: 60, brotli: 52}
+    },
+
+    // .NET views scanned by PurgeCSS for used classes
+    dotnetViews: [
+        '../Web/Components/**/*.cshtml',
+        '../Web/Views/**/*.cshtml',
+        '../Web/Features/**/*.cshtml'
+    ],
+
+    // Rendered component previews (`npm run generate:components`)
+    componentsOutput: 'public/components',
+
+    // Critical CSS per page (`npm run critical`); kept out of dist.outDir, which the build empties
+    criticalOutput: '../Web/wwwroot/critical',
+
+    // Component documentation (`npm run generate:docs`)
+    docs: {
+        markdown: 'docs/component-documentation.md',
+        html: 'docs/component-documentation.html'
+    }
+};
@@ -0,0 +1,246 @@
+/**
+ * Bundle composition report
+ * Breaks each build entry down into the npm packages and source modules in
+ * its JS, the shared chunks it imports and its CSS, lists modules shared by
+ * several entries, modules emitted into more than one chunk and packages
+ * bundled from more than one location, and renders the result as JSON and a
+ * standalone HTML page.
+ *
+ * Module sizes are Rollup's rendered lengths, i.e. after tree-shaking but
+ * before minification; `outputBytes` is the size of the files actually emitted.
+ * Used by bundleReportPlugin in vite-plugins.js.
+ */
+
+import path from 'path';
+
+const NODE_MODULES = 'node_modules/';
+
+/**
+ * Normalizes a Rollup module id to a path relative to the project root,
+ * with forward slashes and without virtual-module markers or queries
+ */
+function toModulePath(id) {
+    const clean = id.replace(/^\0/, '').split('?')[0];
+    return path.isAbsolute(clean)
+        ? path.relative(process.cwd(), clean).replace(/\\/g, '/')
+        : clean;
+}
+
+/**
+ * Splits a module path into its package name and the folder the package was
+ * resolved from, or null for project sources
+ */
+function packageOf(modulePath) {
+    const index = modulePath.lastIndexOf(NODE_MODULES);
+    if (index === -1) {
+        return null;
+    }
+    const rest = modulePath.slice(index + NODE_MODULES.length).split('/');
+    const name = rest[0].startsWith('@') ? `${rest[0]}/${rest[1]}` : rest[0];
+    return {name, dir: modulePath.slice(0, index + NODE_MODULES.length) + name};
+}
+
+function sumBy(items, key) {
+    return items.reduce((total, item) => total + item[key], 0);
+}
+
+/**
+ * Builds the report from the Rollup bundle and the entry file lists from
+ * collectBundleEntries
+ *
+ * @param {import('rollup').OutputBundle} bundle
+ * @param {Object<string, {js: string|null, css: string[], imports: string[]}>} entries
+ */
+function analyzeBundle(bundle, entries) {
+    const chunkModules = file => {
+        const chunk = bundle[file];
+        if (!chunk || chunk.type !== 'chunk') {
+            return [];
+        }
+        return Object.entries(chunk.modules)
+            .filter(([, module]) => module.renderedLength > 0)
+            .map(([id, module]) => ({module: toModulePath(id), bytes: module.renderedLength, chunk: file}));
+    };
+    const assetBytes = file => Buffer.byteLength(bundle[file]?.source ?? '');
+    const chunkBytes = file => Buffer.byteLength(bundle[file]?.code ?? '');
+    const addTo = (map, key, value) => {
+        if (!map.has(key)) {
+            map.set(key, new Set());
+        }
+        map.get(key).add(value);
+    };
+
+    const report = {
+        generated: new Date().toISOString(),
+        entries: {},
+        sharedChunks: {},
+        sharedModules: [],
+        duplicates: {modules: [], packages: []}
+    };
+    const entriesByModule = new Map();
+    const chunksByModule = new Map();
+    const dirsByPackage = new Map();
+
+    Object.entries(entries).forEach(([name, {js, css, imports}]) => {
+        const modules = [js, ...imports].filter(Boolean).flatMap(chunkModules);
+
+        const packages = new Map();
+        const source = [];
+        modules.forEach(item => {
+            addTo(entriesByModule, item.module, name);
+            addTo(chunksByModule, item.module, item.chunk);
+
+            const pkg = packageOf(item.module);
+            if (!pkg) {
+                source.push({module: item.module, bytes: item.bytes});
+                return;
+            }
+            addTo(dirsByPackage, pkg.name, pkg.dir);
+
+            // CommonJS packages are split into several virtual modules per file, counted once here
+            if (!packages.has(pkg.name)) {
+                packages.set(pkg.name, {name: pkg.name, bytes: 0, modules: new Set()});
+            }
+            const entry = packages.get(pkg.name);
+            entry.bytes += item.bytes;
+            entry.modules.add(item.module.slice(item.module.lastIndexOf(NODE_MODULES) + NODE_MODULES.length));
+        });
+
+        imports.forEach(file => {
+            if (!report.sharedChunks[file]) {
+                const chunkItems = chunkModules(file);
+                report.sharedChunks[file] = {
+                    bytes: sumBy(chunkItems, 'bytes'),
+                    outputBytes: chunkBytes(file),
+                    modules: [...new Set(chunkItems.map(item => item.module))],
+                    entries: []
+                };
+            }
+            report.sharedChunks[file].entries.push(name);
+        });
+
+        report.entries[name] = {
+            js: js,
+            chunks: imports,
+            bytes: sumBy(modules, 'bytes'),
+            outputBytes: sumBy([js, ...imports].filter(Boolean).map(file => ({bytes: chunkBytes(file)})), 'bytes'),
+            css: css.map(file => ({file, bytes: assetBytes(file)})),
+            packages: [...packages.values()]
+                .map(pkg => ({...pkg, modules: [...pkg.modules]}))
+                .sort((a, b) => b.bytes - a.bytes),
+            source: source.sort((a, b) => b.bytes - a.bytes)
+        };
+    });
+
+    report.sharedModules = [...entriesByModule.entries()]
+        .filter(([, names]) => names.size > 1)
+        .map(([module, names]) => ({module, entries: [...names].sort()}))
+        .sort((a, b) => a.module.localeCompare(b.module));
+
+    report.duplicates.modules = [...chunksByModule.entries()]
+        .filter(([, chunks]) => chunks.size > 1)
+        .map(([module, chunks]) => ({module, chunks: [...chunks].sort()}));
+
+    report.duplicates.packages = [...dirsByPackage.entries()]
+        .filter(([, dirs]) => dirs.size > 1)
+        .map(([name, dirs]) => ({package: name, paths: [...dirs].sort()}));
+
+    return report;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function kB(bytes) {
+    return `${(bytes / 1024).toFixed(1)} kB`;
+}
+
+/**
+ * Renders the report as a standalone HTML page
+ */
+function renderBundleReportHtml(report) {
+    const bar = (bytes, total) => {
+        const width = total ? Math.max(1, Math.round(bytes / total * 100)) : 0;
+        return `<span class="bar" style="width:${width}%"></span>`;
+    };
+
+    const entrySections = Object.entries(report.entries).map(([name, entry]) => {
+        const rows = [
+            ...entry.packages.map(pkg => ({label: pkg.name, modules: pkg.modules, bytes: pkg.bytes, type: 'package'})),
+            ...entry.source.map(item => ({label: item.module, modules: [], bytes: item.bytes, type: 'source'}))
+        ].sort((a, b) => b.bytes - a.bytes);
+
+        return `
+    <details>
+      <summary><strong>${escapeHtml(name)}</strong> — JS ${kB(entry.outputBytes)} (${kB(entry.bytes)} before minification), CSS ${kB(entry.css.reduce((total, css) => total + css.bytes, 0))}, ${entry.packages.length} packages, ${entry.chunks.length} shared chunks</summary>
+      <p class="files">${escapeHtml(entry.js || 'CSS only')}${entry.chunks.map(file => `<br>↳ ${escapeHtml(file)}`).join('')}</p>
+      <table>
+        <thead><tr><th>Module</th><th>Type</th><th>Size</th><th></th></tr></thead>
+        <tbody>${rows.map(row => `
+          <tr>
+            <td>${escapeHtml(row.label)}${row.modules.length ? `<div class="modules">${row.modules.map(escapeHtml).join('<br>')}</div>` : ''}</td>
+            <td>${row.type}</td>
+            <td class="size">${kB(row.bytes)}</td>
+            <td class="graph">${bar(row.bytes, entry.bytes)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    </details>`;
+    }).join('\n');
+
+    const sharedChunks = Object.entries(report.sharedChunks).map(([file, chunk]) => `
+        <tr><td>${escapeHtml(file)}</td><td class="size">${kB(chunk.outputBytes)}</td><td>${chunk.entries.map(escapeHtml).join(', ')}</td></tr>`).join('');
+    const sharedModules = report.sharedModules.map(item => `
+        <tr><td>${escapeHtml(item.module)}</td><td>${item.entries.map(escapeHtml).join(', ')}</td></tr>`).join('');
+    const duplicateModules = report.duplicates.modules.map(item => `
+        <tr><td>${escapeHtml(item.module)}</td><td>${item.chunks.map(escapeHtml).join('<br>')}</td></tr>`).join('');
+    const duplicatePackages = report.duplicates.packages.map(item => `
+        <tr><td>${escapeHtml(item.package)}</td><td>${item.paths.map(escapeHtml).join('<br>')}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Bundle Report</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin: 0.5rem 0 1.5rem; }
+    th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #eee; vertical-align: top; }
+    details { margin-bottom: 0.75rem; }
+    summary { cursor: pointer; padding: 0.25rem 0; }
+    .size { white-space: nowrap; text-align: right; }
+    .graph { width: 30%; }
+    .bar { display: inline-block; height: 0.75rem; background: #00539f; }
+    .files, .modules { color: #666; font-size: 0.85rem; }
+    .empty { color: #666; }
+  </style>
+</head>
+<body>
+  <h1>Bundle Report</h1>
+  <p class="files">Generated ${escapeHtml(report.generated)}</p>
+
+  <h2>Entries</h2>
+  ${entrySections}
+
+  <h2>Shared chunks</h2>
+  ${sharedChunks ? `<table><thead><tr><th>Chunk</th><th>Size</th><th>Imported by</th></tr></thead><tbody>${sharedChunks}</tbody></table>` : '<p class="empty">None</p>'}
+
+  <h2>Modules used by several entries</h2>
+  ${sharedModules ? `<table><thead><tr><th>Module</th><th>Entries</th></tr></thead><tbody>${sharedModules}</tbody></table>` : '<p class="empty">None</p>'}
+
+  <h2>Modules emitted into several chunks</h2>
+  ${duplicateModules ? `<table><thead><tr><th>Module</th><th>Chunks</th></tr></thead><tbody>${duplicateModules}</tbody></table>` : '<p class="empty">None</p>'}
+
+  <h2>Packages bundled from several locations</h2>
+  ${duplicatePackages ? `<table><thead><tr><th>Package</th><th>Resolved from</th></tr></thead><tbody>${duplicatePackages}</tbody></table>` : '<p class="empty">None</p>'}
+</body>
+</html>
+`;
+}
+
+export {analyzeBundle, renderBundleReportHtml};
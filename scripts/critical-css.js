@@ -0,0 +1,268 @@
+/**
+ * Critical CSS Generator
+ * Renders every page in src/views/pages through the Vite dev server in
+ * headless Chrome and keeps the CSS rules that style content above the fold
+ * at each configured viewport. The full page CSS is purged with the same
+ * PurgeCSS options as the production build first, so the critical CSS is a
+ * subset of what ships in global.min.css and the component CSS.
+ *
+ * Writes `<page>.css` per page plus a manifest.json to `criticalOutput` from
+ * fe.config.js, for the .NET views to inline in <head> before loading the
+ * rest of the CSS asynchronously. It sits outside the dist folder, which
+ * `npm run build` empties.
+ *
+ * puppeteer is an optional peer dependency, so `npm install` doesn't download
+ * Chrome; add it when needed with `npm install --no-save puppeteer`.
+ *
+ * Run: node scripts/critical-css.js [--page=index] [--viewports=375x812,1440x900]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createServer, transformWithEsbuild } from 'vite';
+import postcss from 'postcss';
+import { PurgeCSS } from 'purgecss';
+import { htmlEntries } from '../vite-files.js';
+import { purgeCssOptions } from './purgecss-options.js';
+import { ROOT_DIR, feConfig, resolvePath } from './fe-config.js';
+
+// Configuration
+const CONFIG = {
+    outputDir: resolvePath(feConfig.criticalOutput),
+    viewports: [
+        { width: 375, height: 812 },
+        { width: 1440, height: 900 }
+    ],
+    // Rules inside these at-rules are never critical
+    skipAtRules: ['keyframes', '-webkit-keyframes']
+};
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const pageArgs = args.filter(arg => arg.startsWith('--page=')).map(arg => arg.split('=')[1]);
+const viewportsArg = args.find(arg => arg.startsWith('--viewports='));
+
+/**
+ * Parses `375x812,1440x900` into viewport objects
+ */
+function parseViewports(value) {
+    return value.split(',').map(size => {
+        const match = size.trim().match(/^(\d+)x(\d+)$/);
+        if (!match) {
+            throw new Error(`Invalid viewport "${size}", expected <width>x<height>`);
+        }
+        return { width: Number(match[1]), height: Number(match[2]) };
+    });
+}
+
+// Pseudo-elements and state pseudo-classes can't be matched with querySelectorAll,
+// so a rule counts as used when the element it decorates is above the fold
+const PSEUDO_PATTERN = /::?(?:-(?:webkit|moz|ms)-[\w-]+|before|after|first-line|first-letter|placeholder|selection|marker|backdrop|hover|focus|focus-visible|focus-within|active|visited|target)(?![\w-])(?:\([^)]*\))?/gi;
+
+function toMatchableSelector(selector) {
+    return selector.replace(PSEUDO_PATTERN, '').trim() || '*';
+}
+
+/**
+ * Collects the CSS Vite injected into the page (<style> tags in dev) and
+ * purges it with the production PurgeCSS options
+ */
+async function collectPageCss(page) {
+    const css = await page.evaluate(() => Array.from(document.querySelectorAll('style'))
+        .map(style => style.textContent)
+        .join('\n'));
+
+    const [result] = await new PurgeCSS().purge({
+        ...purgeCssOptions,
+        css: [{ raw: css }]
+    });
+    return result ? result.css : '';
+}
+
+/**
+ * Returns the selectors with an element above the fold and the media
+ * queries that apply at the current viewport
+ */
+async function measureViewport(page, selectors, mediaQueries) {
+    return page.evaluate((selectors, mediaQueries) => {
+        const fold = window.innerHeight;
+        const isAboveFold = element => element.getBoundingClientRect().top < fold;
+
+        const matchedSelectors = selectors.filter(selector => {
+            try {
+                return Array.from(document.querySelectorAll(selector)).some(isAboveFold);
+            } catch (error) {
+                // selectors the browser can't query are kept rather than risk a flash of unstyled content
+                return true;
+            }
+        });
+        const matchedMedia = mediaQueries.filter(query => window.matchMedia(query).matches);
+
+        return { selectors: matchedSelectors, media: matchedMedia };
+    }, selectors, mediaQueries);
+}
+
+/**
+ * Keeps the rules whose selectors matched above the fold at any viewport
+ * where all their enclosing media queries apply. @font-face rules are kept
+ * so critical text renders in the web font.
+ */
+function filterCriticalCss(root, measurements) {
+    const mediaOf = node => {
+        const queries = [];
+        for (let parent = node.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+            if (parent.type === 'atrule' && parent.name === 'media') {
+                queries.push(parent.params);
+            }
+        }
+        return queries;
+    };
+
+    root.walkAtRules(atRule => {
+        if (CONFIG.skipAtRules.includes(atRule.name)) {
+            atRule.remove();
+        }
+    });
+
+    root.walkRules(rule => {
+        const queries = mediaOf(rule);
+        const matched = rule.selectors.filter(selector => measurements.some(({ selectors, media }) =>
+            queries.every(query => media.has(query)) && selectors.has(toMatchableSelector(selector))
+        ));
+
+        if (matched.length) {
+            rule.selectors = matched;
+        } else {
+            rule.remove();
+        }
+    });
+
+    root.walkAtRules(atRule => {
+        if (atRule.name !== 'font-face' && atRule.nodes && atRule.nodes.length === 0) {
+            atRule.remove();
+        }
+    });
+    root.walkComments(comment => comment.remove());
+
+    return root.toString();
+}
+
+/**
+ * Imports puppeteer, an optional peer dependency that npm doesn't install
+ */
+async function loadPuppeteer() {
+    try {
+        return (await import('puppeteer')).default;
+    } catch (error) {
+        if (error.code === 'ERR_MODULE_NOT_FOUND') {
+            throw new Error('puppeteer is not installed. Install it with `npm install --no-save puppeteer` and run the script again.');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Fires the first interaction on `data-hydrate="interaction"` roots, which
+ * would otherwise never import their component, so its CSS is on the page
+ * before it is collected and measured
+ */
+async function hydrateInteractionRoots(page) {
+    const count = await page.evaluate(() => {
+        const roots = document.querySelectorAll('[data-hydrate="interaction"]');
+        roots.forEach(root => root.dispatchEvent(new Event('focusin')));
+        return roots.length;
+    });
+    if (count) {
+        await page.waitForNetworkIdle({ idleTime: 500 });
+    }
+}
+
+/**
+ * Extracts the critical CSS of one page across all viewports
+ */
+async function extractPageCriticalCss(browser, url, viewports) {
+    const page = await browser.newPage();
+    try {
+        const measurements = [];
+        let root = null;
+
+        for (const viewport of viewports) {
+            await page.setViewport(viewport);
+            await page.goto(url, { waitUntil: 'networkidle0' });
+            await hydrateInteractionRoots(page);
+
+            if (!root) {
+                root = postcss.parse(await collectPageCss(page));
+            }
+
+            const selectors = new Set();
+            const mediaQueries = new Set();
+            root.walkRules(rule => rule.selectors.forEach(selector => selectors.add(toMatchableSelector(selector))));
+            root.walkAtRules('media', atRule => mediaQueries.add(atRule.params));
+
+            const { selectors: matchedSelectors, media } = await measureViewport(page, [...selectors], [...mediaQueries]);
+            measurements.push({ selectors: new Set(matchedSelectors), media: new Set(media) });
+        }
+
+        const css = filterCriticalCss(root, measurements);
+        const { code } = await transformWithEsbuild(css, 'critical.css', { loader: 'css', minify: true });
+        return code;
+    } finally {
+        await page.close();
+    }
+}
+
+async function generateCriticalCss() {
+    const viewports = viewportsArg ? parseViewports(viewportsArg.split('=')[1]) : CONFIG.viewports;
+    const pages = Object.keys(htmlEntries)
+        .filter(name => pageArgs.length === 0 || pageArgs.includes(name))
+        .sort();
+
+    if (pages.length === 0) {
+        throw new Error(pageArgs.length ? `No pages named ${pageArgs.join(', ')}` : 'No pages found');
+    }
+
+    const puppeteer = await loadPuppeteer();
+
+    console.log('🎯 Extracting critical CSS...\n');
+    console.log(`   Viewports: ${viewports.map(({ width, height }) => `${width}x${height}`).join(', ')}`);
+
+    const server = await createServer({
+        root: ROOT_DIR,
+        logLevel: 'error',
+        server: { hmr: false }
+    });
+    await server.listen();
+    const baseUrl = server.resolvedUrls.local[0].replace(/\/$/, '');
+    let browser = null;
+
+    try {
+        browser = await puppeteer.launch();
+        fs.mkdirSync(CONFIG.outputDir, { recursive: true });
+        const manifest = {};
+
+        for (const name of pages) {
+            const css = await extractPageCriticalCss(browser, `${baseUrl}/${name}.html`, viewports);
+            const file = `${name}.css`;
+            fs.writeFileSync(path.join(CONFIG.outputDir, file), css);
+
+            manifest[name] = {
+                file,
+                bytes: Buffer.byteLength(css),
+                viewports: viewports.map(({ width, height }) => `${width}x${height}`)
+            };
+            console.log(`   ✅ ${name} → ${file} (${(manifest[name].bytes / 1024).toFixed(1)} kB)`);
+        }
+
+        fs.writeFileSync(path.join(CONFIG.outputDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+        console.log(`\n✨ Critical CSS written to ${path.relative(ROOT_DIR, CONFIG.outputDir)}\n`);
+    } finally {
+        await browser?.close();
+        await server.close();
+    }
+}
+
+generateCriticalCss().catch(error => {
+    console.error('\n❌ Error:', error.message);
+    process.exit(1);
+});
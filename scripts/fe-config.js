@@ -0,0 +1,131 @@
+/**
+ * Project config loader
+ * Imports fe.config.js and validates it, so a wrong path fails fast with a
+ * clear message instead of an empty glob or a build in the wrong folder.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../fe.config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.resolve(__dirname, '..');
+const CONFIG_FILE = 'fe.config.js';
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Expected shape of fe.config.js: key path → validator returning an error
+ * message, or nothing when the value is valid
+ */
+const SCHEMA = {
+    'src.views': existingDirectory,
+    'src.pages': existingDirectory,
+    'src.components': existingDirectory,
+    'src.js': existingDirectory,
+    'src.scss': existingDirectory,
+    'dist.outDir': value => isNonEmptyString(value) ? undefined : 'must be a folder path',
+    'dist.base': value => isNonEmptyString(value) && value.startsWith('/') ? undefined : 'must be a URL path starting with "/"',
+    'dist.hash': value => typeof value === 'boolean' ? undefined : 'must be true or false',
+    'dist.manifest': value => value === false || (isNonEmptyString(value) && value.endsWith('.json'))
+        ? undefined
+        : 'must be a .json file name or false',
+    'public.src': existingDirectory,
+    'public.outDir': value => isNonEmptyString(value) ? undefined : 'must be a folder path',
+    'public.imageManifest': value => isNonEmptyString(value) && value.endsWith('.json') && !path.isAbsolute(value)
+        ? undefined
+        : 'must be a .json file path inside public.outDir',
+    'dotnetViews': value => Array.isArray(value) && value.every(isNonEmptyString)
+        ? undefined
+        : 'must be an array of glob patterns',
+    'budgets': validateBudgets,
+    'componentsOutput': value => isNonEmptyString(value) ? undefined : 'must be a folder path',
+    'criticalOutput': value => isNonEmptyString(value) ? undefined : 'must be a folder path',
+    'docs.markdown': value => isNonEmptyString(value) && value.endsWith('.md') ? undefined : 'must be a .md file path',
+    'docs.html': value => isNonEmptyString(value) && value.endsWith('.html') ? undefined : 'must be a .html file path'
+};
+
+function existingDirectory(value) {
+    if (!isNonEmptyString(value)) {
+        return 'must be a folder path';
+    }
+    const dir = path.resolve(ROOT_DIR, value);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        return `folder not found: ${dir}`;
+    }
+}
+
+function validateBudgets(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'must map entry names to {gzip, brotli} sizes in kB';
+    }
+    const invalid = Object.entries(value).filter(([, budget]) =>
+        !budget || typeof budget !== 'object' || Object.entries(budget).some(([type, size]) =>
+            !['gzip', 'brotli'].includes(type) || typeof size !== 'number' || size <= 0));
+    if (invalid.length) {
+        return `invalid budget for ${invalid.map(([name]) => name).join(', ')}, expected {gzip?: kB, brotli?: kB}`;
+    }
+}
+
+function getPath(object, keyPath) {
+    return keyPath.split('.').reduce((value, key) => value?.[key], object);
+}
+
+function collectKeyPaths(object, prefix = '') {
+    return Object.entries(object).flatMap(([key, value]) => {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        return value && typeof value === 'object' && !Array.isArray(value) && !SCHEMA[keyPath]
+            ? collectKeyPaths(value, keyPath)
+            : [keyPath];
+    });
+}
+
+/**
+ * Checks a config object against the schema and returns a list of
+ * `key: problem` messages, empty when the config is valid
+ */
+function validateConfig(value) {
+    if (!value || typeof value !== 'object') {
+        return ['the default export must be an object'];
+    }
+
+    const errors = Object.entries(SCHEMA)
+        .map(([keyPath, validate]) => {
+            const current = getPath(value, keyPath);
+            if (current === undefined) {
+                return `${keyPath}: is required`;
+            }
+            const problem = validate(current);
+            return problem ? `${keyPath}: ${problem} (got ${JSON.stringify(current)})` : null;
+        })
+        .filter(Boolean);
+
+    collectKeyPaths(value)
+        .filter(keyPath => !SCHEMA[keyPath])
+        .forEach(keyPath => errors.push(`${keyPath}: unknown option`));
+
+    return errors;
+}
+
+const errors = validateConfig(config);
+if (errors.length) {
+    throw new Error(`Invalid ${CONFIG_FILE}:\n  - ${errors.join('\n  - ')}`);
+}
+
+/**
+ * Resolves a path from fe.config.js against the project root
+ */
+function resolvePath(relativePath) {
+    return path.resolve(ROOT_DIR, relativePath);
+}
+
+/**
+ * Resolves a glob pattern from fe.config.js against the project root, with
+ * forward slashes as glob expects on every platform
+ */
+function resolveGlob(pattern) {
+    return resolvePath(pattern).split(path.sep).join('/');
+}
+
+export { config as feConfig, ROOT_DIR, resolvePath, resolveGlob, validateConfig };
@@ -1092,16 +1092,24 @@ async function scaffoldComponent(componentName) {
     }
 
     if (config.componentTemplate.js) {
+        const selector = `.${fileName.replace(/[^\w-]/g, '\\\\$&')}`;
         const jsContent = `import './${fileName}.scss';
-import init from '@js/shared/initialization';
+import {defineComponent} from '@js/shared/initialization';
 
 /**
  * ${componentName} Component
  * Auto-generated from Figma
  */
-init(document.querySelectorAll('.${fileName}'), wrapper => {
-    // ${componentName} initialization logic
+defineComponent('${folderName}', {
+    selector: '${selector}',
+    mount(wrapper) {
+        // ${componentName} initialization logic
+    }
 });
+
+if (import.meta.hot) {
+    import.meta.hot.accept();
+}
 `;
         fs.writeFileSync(path.join(componentDir, `${fileName}.js`), jsContent);
     }
@@ -0,0 +1,157 @@
+/**
+ * Font metadata reader
+ * Reads family, weight, style and variation axes straight from the sfnt tables
+ * (`name`, `OS/2`, `fvar`) of a TrueType or OpenType font, so the public build
+ * can generate matching @font-face rules without a font library.
+ */
+
+const NAME_IDS = {
+    family: 1,
+    subfamily: 2,
+    fullName: 4,
+    postScriptName: 6,
+    typographicFamily: 16,
+    typographicSubfamily: 17
+};
+
+/**
+ * Reads the table directory: tag → { offset, length }
+ */
+function readTables(buffer) {
+    const numTables = buffer.readUInt16BE(4);
+    const tables = {};
+    for (let i = 0; i < numTables; i++) {
+        const record = 12 + i * 16;
+        const tag = buffer.toString('latin1', record, record + 4);
+        tables[tag] = {
+            offset: buffer.readUInt32BE(record + 8),
+            length: buffer.readUInt32BE(record + 12)
+        };
+    }
+    return tables;
+}
+
+/**
+ * Reads the `name` table, preferring Windows (platform 3) US English records
+ * and falling back to Mac Roman (platform 1) ones
+ */
+function readNames(buffer, table) {
+    if (!table) {
+        return {};
+    }
+
+    const count = buffer.readUInt16BE(table.offset + 2);
+    const stringOffset = table.offset + buffer.readUInt16BE(table.offset + 4);
+    const names = {};
+    const scores = {};
+
+    for (let i = 0; i < count; i++) {
+        const record = table.offset + 6 + i * 12;
+        const platformId = buffer.readUInt16BE(record);
+        const languageId = buffer.readUInt16BE(record + 4);
+        const nameId = buffer.readUInt16BE(record + 6);
+        const length = buffer.readUInt16BE(record + 8);
+        const start = stringOffset + buffer.readUInt16BE(record + 10);
+
+        let value;
+        let score;
+        if (platformId === 3) {
+            // UTF-16BE: swap a copy to little-endian for Node to decode
+            value = Buffer.from(buffer.subarray(start, start + length - (length % 2))).swap16().toString('utf16le');
+            score = languageId === 0x409 ? 3 : 2;
+        } else if (platformId === 1) {
+            value = buffer.toString('latin1', start, start + length);
+            score = 1;
+        } else {
+            continue;
+        }
+
+        if (!scores[nameId] || score > scores[nameId]) {
+            names[nameId] = value;
+            scores[nameId] = score;
+        }
+    }
+
+    return names;
+}
+
+/**
+ * Reads the variation axes from the `fvar` table of a variable font
+ */
+function readAxes(buffer, table) {
+    if (!table) {
+        return [];
+    }
+
+    const axesOffset = table.offset + buffer.readUInt16BE(table.offset + 4);
+    const axisCount = buffer.readUInt16BE(table.offset + 8);
+    const axisSize = buffer.readUInt16BE(table.offset + 10);
+    const fixed = offset => buffer.readInt32BE(offset) / 65536;
+
+    return Array.from({length: axisCount}, (_, i) => {
+        const record = axesOffset + i * axisSize;
+        return {
+            tag: buffer.toString('latin1', record, record + 4),
+            min: fixed(record + 4),
+            default: fixed(record + 8),
+            max: fixed(record + 12)
+        };
+    });
+}
+
+/**
+ * @typedef {Object} FontMetadata
+ * @property {'truetype'|'opentype'} format - outline format, from the sfnt version
+ * @property {string} family - typographic family (name ID 16), else the legacy family (name ID 1)
+ * @property {string} subfamily
+ * @property {string} fullName
+ * @property {string} postScriptName
+ * @property {number} weight - OS/2 usWeightClass
+ * @property {'normal'|'italic'|'oblique'} style - from OS/2 fsSelection
+ * @property {boolean} variable
+ * @property {{tag: string, min: number, default: number, max: number}[]} axes
+ */
+
+/**
+ * @param {Buffer} buffer - a .ttf or .otf file
+ * @returns {FontMetadata}
+ */
+function readFontMetadata(buffer) {
+    const version = buffer.readUInt32BE(0);
+    const isTrueType = version === 0x00010000 || buffer.toString('latin1', 0, 4) === 'true';
+    const isOpenType = buffer.toString('latin1', 0, 4) === 'OTTO';
+    if (!isTrueType && !isOpenType) {
+        throw new Error('Not a TrueType or OpenType font');
+    }
+
+    const tables = readTables(buffer);
+    const names = readNames(buffer, tables.name);
+    const axes = readAxes(buffer, tables.fvar);
+
+    let weight = 400;
+    let style = 'normal';
+    if (tables['OS/2']) {
+        const os2 = tables['OS/2'].offset;
+        weight = buffer.readUInt16BE(os2 + 4);
+        const fsSelection = buffer.readUInt16BE(os2 + 62);
+        if (fsSelection & 1) {
+            style = 'italic';
+        } else if (fsSelection & (1 << 9)) {
+            style = 'oblique';
+        }
+    }
+
+    return {
+        format: isOpenType ? 'opentype' : 'truetype',
+        family: names[NAME_IDS.typographicFamily] || names[NAME_IDS.family] || '',
+        subfamily: names[NAME_IDS.typographicSubfamily] || names[NAME_IDS.subfamily] || '',
+        fullName: names[NAME_IDS.fullName] || '',
+        postScriptName: names[NAME_IDS.postScriptName] || '',
+        weight,
+        style,
+        variable: axes.length > 0,
+        axes
+    };
+}
+
+export { readFontMetadata };
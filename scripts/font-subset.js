@@ -0,0 +1,91 @@
+/**
+ * Font subsetting helpers
+ * Parses and formats CSS `unicode-range` lists and collects the characters
+ * used in templates and data files, so publicFontConverterPlugin can emit
+ * subset woff2 files with matching `unicode-range` descriptors.
+ */
+
+import fs from 'fs';
+import {globSync} from 'glob';
+
+/**
+ * Printable ASCII, always kept when subsetting by content so digits and
+ * punctuation rendered from CMS data still use the web font
+ */
+const BASIC_LATIN = 'U+0020-007E';
+
+/**
+ * Parses a `unicode-range` value (`U+0000-00FF, U+0131, U+02??`) into a set of code points
+ */
+function parseUnicodeRange(range) {
+    const codePoints = new Set();
+    String(range).split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const match = part.match(/^U\+([0-9A-F?]{1,6})(?:-([0-9A-F]{1,6}))?$/i);
+        if (!match) {
+            throw new Error(`Invalid unicode-range "${part}"`);
+        }
+
+        const [, start, end] = match;
+        const from = parseInt(start.replace(/\?/g, '0'), 16);
+        const to = end ? parseInt(end, 16) : parseInt(start.replace(/\?/g, 'F'), 16);
+        for (let codePoint = from; codePoint <= to; codePoint++) {
+            codePoints.add(codePoint);
+        }
+    });
+    return codePoints;
+}
+
+/**
+ * Formats code points as a compact `unicode-range` value, merging consecutive runs
+ */
+function formatUnicodeRange(codePoints) {
+    const sorted = [...codePoints].sort((a, b) => a - b);
+    const hex = codePoint => codePoint.toString(16).toUpperCase().padStart(4, '0');
+    const ranges = [];
+
+    for (let i = 0; i < sorted.length; i++) {
+        const start = sorted[i];
+        while (sorted[i + 1] === sorted[i] + 1) {
+            i++;
+        }
+        ranges.push(start === sorted[i] ? `U+${hex(start)}` : `U+${hex(start)}-${hex(sorted[i])}`);
+    }
+    return ranges.join(', ');
+}
+
+function collectStrings(value, strings = []) {
+    if (typeof value === 'string') {
+        strings.push(value);
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => collectStrings(item, strings));
+    }
+    return strings;
+}
+
+/**
+ * Collects the code points used in the files matching `patterns`. JSON files
+ * contribute their string values (so `é` escapes count as `é`), every
+ * other file its raw text, markup included.
+ */
+function collectContentCodePoints(patterns) {
+    const codePoints = parseUnicodeRange(BASIC_LATIN);
+    globSync(patterns, {nodir: true}).forEach(file => {
+        let text = fs.readFileSync(file, 'utf8');
+        if (file.endsWith('.json')) {
+            try {
+                text = collectStrings(JSON.parse(text)).join(' ');
+            } catch (error) {
+                // unparsable data files still contribute their raw text
+            }
+        }
+        for (const char of text) {
+            const codePoint = char.codePointAt(0);
+            if (codePoint >= 0x20) {
+                codePoints.add(codePoint);
+            }
+        }
+    });
+    return codePoints;
+}
+
+export {BASIC_LATIN, parseUnicodeRange, formatUnicodeRange, collectContentCodePoints};
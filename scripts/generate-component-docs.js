@@ -6,17 +6,15 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { dataFileFor, readJson } from './template-data.js';
+import { feConfig, resolvePath } from './fe-config.js';
 
 // Configuration
 const CONFIG = {
-  componentsDir: path.join(__dirname, '../src/views/components'),
-  pagesDir: path.join(__dirname, '../src/views/pages'),
-  outputFile: path.join(__dirname, '../docs/component-documentation.md'),
-  outputFileHtml: path.join(__dirname, '../docs/component-documentation.html'),
+  componentsDir: resolvePath(feConfig.src.components),
+  pagesDir: resolvePath(feConfig.src.pages),
+  outputFile: resolvePath(feConfig.docs.markdown),
+  outputFileHtml: resolvePath(feConfig.docs.html),
   templateExtensions: ['.njk', '.html']
 };
 
@@ -43,6 +41,21 @@ function getFiles(dirPath, extensions) {
   }
 }
 
+/**
+ * Describe the `<template>.data.json` next to a template, if there is one
+ */
+function analyzeTemplateData(templatePath) {
+  const dataFile = dataFileFor(templatePath);
+  if (!fs.existsSync(dataFile)) {
+    return null;
+  }
+
+  return {
+    file: path.basename(dataFile),
+    keys: Object.keys(readJson(dataFile)).sort()
+  };
+}
+
 /**
  * Extract component includes from a file
  */
@@ -123,6 +136,7 @@ function analyzeComponent(componentDir, componentName) {
       entities,
       layouts,
       ariaRoles,
+      data: analyzeTemplateData(templatePath),
       lineCount: content.split('\n').length
     };
   } catch (error) {
@@ -344,7 +358,7 @@ function generateDocumentation(components, componentPageMapping, pageComponentMa
     const pages = componentPageMapping[componentName] || [];
 
     markdown += `### ${componentName}\n`;
-    markdown += `**File:** \`src/views/components/${componentName}/${component.templateFile}\`\n\n`;
+    markdown += `**File:** \`${feConfig.src.components}/${componentName}/${component.templateFile}\`\n\n`;
 
     // Detected patterns
     if (Object.values(component.patterns).some(v => v)) {
@@ -381,6 +395,11 @@ function generateDocumentation(components, componentPageMapping, pageComponentMa
       markdown += `**ARIA Roles:** ${component.ariaRoles.join(', ')}\n\n`;
     }
 
+    // Component data file
+    if (component.data) {
+      markdown += `**Test Data:** \`${component.data.file}\` overrides ${component.data.keys.map(key => `\`${key}\``).join(', ') || 'no keys'}\n\n`;
+    }
+
     // Nested components
     if (component.nestedComponents.length > 0) {
       markdown += `**Nested Components:**\n`;
@@ -424,7 +443,11 @@ function generateDocumentation(components, componentPageMapping, pageComponentMa
 
   sortedPages.forEach(page => {
     const components = pageComponentMapping[page];
+    const pageData = analyzeTemplateData(path.join(CONFIG.pagesDir, page));
     markdown += `### ${page}\n`;
+    if (pageData) {
+      markdown += `**Test Data:** \`${pageData.file}\` overrides ${pageData.keys.map(key => `\`${key}\``).join(', ') || 'no keys'}\n\n`;
+    }
     markdown += `**Components Used (${components.length}):**\n`;
     if (components.length > 0) {
       components.forEach(component => {
@@ -510,7 +533,7 @@ function generateHtmlDocumentation(components, componentPageMapping, pageCompone
 
     componentsHtml += `    <section id="${componentName}" class="component-section">\n`;
     componentsHtml += `      <h2>${componentName}</h2>\n`;
-    componentsHtml += `      <p class="file-path"><strong>File:</strong> <code>src/views/components/${componentName}/${component.templateFile}</code></p>\n`;
+    componentsHtml += `      <p class="file-path"><strong>File:</strong> <code>${feConfig.src.components}/${componentName}/${component.templateFile}</code></p>\n`;
 
     // Detected patterns
     if (Object.values(component.patterns).some(v => v)) {
@@ -559,6 +582,14 @@ function generateHtmlDocumentation(components, componentPageMapping, pageCompone
       componentsHtml += `      </div>\n`;
     }
 
+    // Component data file
+    if (component.data) {
+      componentsHtml += `      <div class="section-block">\n`;
+      componentsHtml += `        <h3>Test Data</h3>\n`;
+      componentsHtml += `        <p><code>${component.data.file}</code> overrides ${component.data.keys.map(key => `<code>${escapeHtml(key)}</code>`).join(', ') || 'no keys'}</p>\n`;
+      componentsHtml += `      </div>\n`;
+    }
+
     // Nested components
     componentsHtml += `      <div class="section-block">\n`;
     componentsHtml += `        <h3>Nested Components</h3>\n`;
@@ -2,26 +2,33 @@ import fs from 'fs';
 import path from 'path';
 import { globSync } from 'glob';
 import nunjucks from 'nunjucks';
+import { DATA_FILE, dataFileFor, loadGlobalData, loadTemplateData } from './template-data.js';
+import { imageFilters } from './image-manifest.js';
+import { ROOT_DIR, feConfig, resolveGlob, resolvePath } from './fe-config.js';
 
-const COMPONENTS_DIR = 'src/views/components';
-const OUTPUT_DIR = 'public/components';
-const DATA_FILE = 'src/views/data.json';
+// A glob root, so forward slashes on Windows too
+const COMPONENTS_DIR = resolveGlob(feConfig.src.components);
+const OUTPUT_DIR = resolvePath(feConfig.componentsOutput);
 
-// Configure Nunjucks environment
-const env = nunjucks.configure('src/views', {
+// Paths in the manifest and the log stay relative to the project root
+const relative = file => path.relative(ROOT_DIR, file);
+
+// Configure Nunjucks environment; templates import macros by their project path
+// (`src/views/macros/...`), so the project root is searched after the views
+const env = nunjucks.configure([resolvePath(feConfig.src.views), ROOT_DIR], {
     autoescape: false,
     trimBlocks: true,
     lstripBlocks: true
 });
 
-// Load data for template rendering
-let templateData = {};
-try {
-    const dataContent = fs.readFileSync(DATA_FILE, 'utf8');
-    templateData = JSON.parse(dataContent);
-} catch (error) {
+// Image manifest lookups used by the picture/responsiveImage macros
+Object.entries(imageFilters).forEach(([name, filter]) => env.addFilter(name, filter));
+
+// Load global data for template rendering
+if (!fs.existsSync(DATA_FILE)) {
     console.warn(`Warning: Could not load ${DATA_FILE}. Using empty data object.`);
 }
+const templateData = loadGlobalData();
 
 /**
  * Extracts component name from file path
@@ -31,14 +38,15 @@ function getComponentName(filePath) {
 }
 
 /**
- * Renders Nunjucks template to HTML
+ * Renders Nunjucks template to HTML, with the component's own
+ * `<name>.data.json` (if any) deep-merged over the global data
  */
 function renderTemplate(templatePath, data = {}) {
     try {
         const template = fs.readFileSync(templatePath, 'utf8');
-        return env.renderString(template, { ...templateData, ...data });
+        return env.renderString(template, { ...loadTemplateData(templatePath, templateData), ...data });
     } catch (error) {
-        console.error(`Error rendering template ${templatePath}:`, error.message);
+        console.error(`Error rendering template ${relative(templatePath)}:`, error.message);
         return null;
     }
 }
@@ -166,7 +174,7 @@ function processComponent(njkFile) {
     // Write the HTML file
     try {
         fs.writeFileSync(outputFile, cleanedHtml, 'utf8');
-        console.log(`Generated: ${outputFile}`);
+        console.log(`Generated: ${relative(outputFile)}`);
         return true;
     } catch (error) {
         console.error(`Error writing file ${outputFile}:`, error.message);
@@ -184,17 +192,18 @@ function generateManifest(processedComponents) {
             const componentName = getComponentName(componentPath);
             return {
                 name: componentName,
-                source: componentPath,
-                output: path.join(OUTPUT_DIR, componentName, `${componentName}.html`),
+                source: relative(componentPath),
+                output: relative(path.join(OUTPUT_DIR, componentName, `${componentName}.html`)),
                 hasJs: fs.existsSync(path.join(path.dirname(componentPath), `${componentName}.js`)),
-                hasScss: fs.existsSync(path.join(path.dirname(componentPath), `_${componentName}.scss`))
+                hasScss: fs.existsSync(path.join(path.dirname(componentPath), `_${componentName}.scss`)),
+                hasData: fs.existsSync(dataFileFor(componentPath))
             };
         })
     };
     
     const manifestFile = path.join(OUTPUT_DIR, 'manifest.json');
     fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2), 'utf8');
-    console.log(`Generated manifest: ${manifestFile}`);
+    console.log(`Generated manifest: ${relative(manifestFile)}`);
 }
 
 /**
@@ -234,7 +243,7 @@ function generateComponents() {
     
     console.log(`\nComponent generation complete!`);
     console.log(`Successfully processed: ${successCount}/${njkFiles.length} components`);
-    console.log(`Output directory: ${OUTPUT_DIR}`);
+    console.log(`Output directory: ${relative(OUTPUT_DIR)}`);
 }
 
 // Run if this script is executed directly
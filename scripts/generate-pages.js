@@ -1,30 +1,169 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { feConfig, resolvePath } from './fe-config.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const pagesDir = path.resolve(__dirname, '../src/views/pages');
-const outputFile = path.resolve(__dirname, '../src/views/pages.json');
+const pagesDir = resolvePath(feConfig.src.pages);
+const outputFile = path.join(resolvePath(feConfig.src.views), 'pages.json');
 
-function generatePagesJson() {
-    try {
-        // Read all HTML files from the pages directory
-        const files = fs.readdirSync(pagesDir)
-            .filter(file => file.endsWith('.html'))
-            .sort();
-
-        // Generate page objects
-        const pages = files.map(file => {
-            const name = path.basename(file, '.html');
-            const url = `/${file}`;
-            
+const PAGE_META_KEYS = ['title', 'description', 'icon', 'status', 'owner', 'tags'];
+const PAGE_STATUSES = ['draft', 'ready', 'signed-off'];
+
+// Either a Nunjucks comment `{#--- ... ---#}` or a bare `--- ... ---` block at the top of the page
+const FRONT_MATTER_PATTERN = /^\s*(?:\{#-?\s*---\r?\n([\s\S]*?)\r?\n\s*---\s*-?#\}|---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$))/;
+
+function parseFrontMatterValue(value) {
+    const trimmed = value.trim();
+    if (/^\[.*\]$/.test(trimmed)) {
+        return trimmed.slice(1, -1)
+            .split(',')
+            .map(parseFrontMatterValue)
+            .filter(item => item !== '');
+    }
+    if (/^(['"]).*\1$/.test(trimmed)) {
+        return trimmed.slice(1, -1);
+    }
+    return trimmed;
+}
+
+/**
+ * Parses the front-matter block of a page. Supports the flat subset of YAML
+ * pages need: `key: value`, quoted strings, `[a, b]` and `- item` lists.
+ */
+function parseFrontMatter(source) {
+    const match = source.match(FRONT_MATTER_PATTERN);
+    if (!match) {
+        return {};
+    }
+
+    const meta = {};
+    let listKey = null;
+
+    (match[1] ?? match[2]).split(/\r?\n/).forEach(line => {
+        if (!line.trim() || line.trim().startsWith('#')) {
+            return;
+        }
+
+        const item = line.match(/^\s*-\s+(.*)$/);
+        if (item && listKey) {
+            meta[listKey].push(parseFrontMatterValue(item[1]));
+            return;
+        }
+
+        const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+        if (!pair) {
+            return;
+        }
+
+        const [, key, value] = pair;
+        if (value.trim() === '') {
+            meta[key] = [];
+            listKey = key;
+        } else {
+            meta[key] = parseFrontMatterValue(value);
+            listKey = null;
+        }
+    });
+
+    return meta;
+}
+
+/**
+ * Removes the front-matter block so a bare `---` block is not rendered as text
+ */
+function stripFrontMatter(source) {
+    return source.replace(FRONT_MATTER_PATTERN, '');
+}
+
+/**
+ * Reads the page metadata (title, description, icon, status, owner, tags)
+ * declared in a page's front-matter
+ */
+function readPageMeta(file) {
+    const frontMatter = parseFrontMatter(fs.readFileSync(file, 'utf8'));
+    const meta = {};
+
+    PAGE_META_KEYS.forEach(key => {
+        if (frontMatter[key] !== undefined && frontMatter[key] !== '') {
+            meta[key] = frontMatter[key];
+        }
+    });
+
+    if (typeof meta.tags === 'string') {
+        meta.tags = meta.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+
+    if (meta.status && !PAGE_STATUSES.includes(meta.status)) {
+        console.warn(`⚠ ${path.relative(pagesDir, file)}: unknown status "${meta.status}", expected one of ${PAGE_STATUSES.join(', ')}`);
+        delete meta.status;
+    }
+
+    return meta;
+}
+
+/**
+ * Builds the page tree for a directory. Page names are the path segments
+ * joined with "-", the same way vite-files.js names its htmlEntries, so
+ * `help-center/faq.html` becomes `help-center-faq` at `/help-center-faq.html`.
+ * A sub-directory becomes the children of its sibling page (`help-center.html`
+ * owns `help-center/`); without one it is listed as a group with no url.
+ */
+function collectPages(dir, segments = []) {
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+
+    const pages = entries
+        .filter(entry => entry.isFile() && entry.name.endsWith('.html'))
+        .map(entry => {
+            const name = [...segments, path.basename(entry.name, '.html')].join('-');
             return {
                 name,
-                url,
+                url: `/${name}.html`,
+                ...readPageMeta(path.join(dir, entry.name)),
                 children: []
             };
         });
 
+    entries
+        .filter(entry => entry.isDirectory())
+        .forEach(entry => {
+            const childSegments = [...segments, entry.name];
+            const children = collectPages(path.join(dir, entry.name), childSegments);
+            if (children.length === 0) {
+                return;
+            }
+
+            const name = childSegments.join('-');
+            const parent = pages.find(page => page.name === name);
+            if (parent) {
+                parent.children = children;
+            } else {
+                pages.push({
+                    name,
+                    url: null,
+                    children
+                });
+            }
+        });
+
+    return pages.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function logPages(pages, depth = 1) {
+    pages.forEach(page => {
+        console.log(`${'  '.repeat(depth)}- ${page.name}${page.url ? ` (${page.url})` : ''}`);
+        logPages(page.children, depth + 1);
+    });
+}
+
+function countPages(pages) {
+    return pages.reduce((count, page) => count + (page.url ? 1 : 0) + countPages(page.children), 0);
+}
+
+function generatePagesJson() {
+    try {
+        // Walk the pages directory, including nested folders
+        const pages = collectPages(pagesDir);
+
         // Check if content has changed before writing
         let shouldWrite = true;
         if (fs.existsSync(outputFile)) {
@@ -42,10 +181,8 @@ function generatePagesJson() {
         if (shouldWrite) {
             // Write the JSON file
             fs.writeFileSync(outputFile, JSON.stringify(pages, null, 2));
-            console.log(`✓ Generated pages.json with ${pages.length} pages:`);
-            pages.forEach(page => {
-                console.log(`  - ${page.name} (${page.url})`);
-            });
+            console.log(`✓ Generated pages.json with ${countPages(pages)} pages:`);
+            logPages(pages);
         } else {
             console.log('✓ pages.json is already up to date');
         }
@@ -56,23 +193,18 @@ function generatePagesJson() {
     }
 }
 
-// Watch mode for development
-function watchPages() {
-    console.log('👀 Watching for changes in pages directory...');
-    
-    fs.watch(pagesDir, { recursive: false }, (eventType, filename) => {
-        if (filename && filename.endsWith('.html')) {
-            console.log(`📄 Page ${eventType}: ${filename}`);
-            generatePagesJson();
-        }
-    });
+// Run only when executed directly, not when imported by vite.config.js.
+// In dev, pagesWatchPlugin in vite-plugins.js rebuilds the page tree in memory.
+const isCli = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+if (isCli) {
+    generatePagesJson();
 }
 
-// Check command line arguments
-const args = process.argv.slice(2);
-if (args.includes('--watch') || args.includes('-w')) {
-    generatePagesJson();
-    watchPages();
-} else {
-    generatePagesJson();
-}
\ No newline at end of file
+export {
+    pagesDir,
+    generatePagesJson,
+    collectPages,
+    parseFrontMatter,
+    stripFrontMatter,
+    readPageMeta
+};
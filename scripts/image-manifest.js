@@ -0,0 +1,70 @@
+/**
+ * Image manifest helpers
+ * Reads the manifest written by publicImageWebpPlugin (`npm run build:public`)
+ * and exposes it to Nunjucks as filters, so the `picture` and `responsiveImage`
+ * macros can emit real srcsets. The manifest is re-read when it changes on disk.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { feConfig, resolvePath } from './fe-config.js';
+
+const IMAGE_MANIFEST_FILE = path.join(resolvePath(feConfig.public.outDir), feConfig.public.imageManifest);
+
+let cached = { mtimeMs: 0, manifest: {} };
+
+function readImageManifest() {
+    if (!fs.existsSync(IMAGE_MANIFEST_FILE)) {
+        return {};
+    }
+
+    const { mtimeMs } = fs.statSync(IMAGE_MANIFEST_FILE);
+    if (mtimeMs !== cached.mtimeMs) {
+        try {
+            cached = { mtimeMs, manifest: JSON.parse(fs.readFileSync(IMAGE_MANIFEST_FILE, 'utf8')) };
+        } catch (error) {
+            console.warn(`Warning: Could not parse ${IMAGE_MANIFEST_FILE}: ${error.message}`);
+            cached = { mtimeMs, manifest: {} };
+        }
+    }
+    return cached.manifest;
+}
+
+function normalizeSrc(src) {
+    const clean = String(src || '').split(/[?#]/)[0];
+    return clean.startsWith('/') ? clean : `/${clean}`;
+}
+
+/**
+ * Returns the manifest entry (format, width, height, variants) for an image,
+ * or null when the image has not been through the public build
+ */
+function imageInfo(src) {
+    return readImageManifest()[normalizeSrc(src)] || null;
+}
+
+/**
+ * Builds a `srcset` from the image's variants in one format, widest last.
+ * The source image itself counts as a variant of its own format.
+ * Returns an empty string when the format has no variants.
+ */
+function imageSrcset(src, format) {
+    const image = imageInfo(src);
+    if (!image) {
+        return '';
+    }
+
+    const candidates = image.variants.filter(variant => variant.format === format);
+    if (format === image.format) {
+        candidates.push({ src, width: image.width });
+    }
+
+    return candidates
+        .sort((a, b) => a.width - b.width)
+        .map(variant => `${variant.src} ${variant.width}w`)
+        .join(', ');
+}
+
+const imageFilters = { imageInfo, imageSrcset };
+
+export { IMAGE_MANIFEST_FILE, readImageManifest, imageInfo, imageSrcset, imageFilters };
@@ -0,0 +1,262 @@
+/**
+ * Menu schema
+ * Declares the shape of the header menus in the template data (`menu` and
+ * `right_menu` in src/views/data.json, or a data file replacing them),
+ * validates them and gives every entry a unique `id`, which the macros in
+ * src/views/macros/menu.njk turn into element ids and the header JS follows
+ * through `aria-controls`. Used by template-data.js, so dev pages and
+ * generated components both get the normalized menus.
+ *
+ * Top-level entry: `{name, url?, id?, megamenu?, children?, offer?, banner?}`
+ *
+ *   no children       a plain nav link to `url`
+ *   megamenu "v1"     dropdown of columns (the default when there are children):
+ *                     children are `{name, children2: [link]}` columns or links,
+ *                     with an optional special `offer`
+ *   megamenu "v2"     three-level mega menu (`true` is accepted too): children
+ *                     are links or `{name, id?, description?, children2}`
+ *                     panels, whose children2 are links or
+ *                     `{name, id?, subject: [link]}` panels; optional `banner`
+ *
+ * A link is `{name, url}`. `id` defaults to the parent's id plus the
+ * slugified name; duplicates get a numeric suffix. A top-level slug starting
+ * with a digit is prefixed with `item-` ("5G Plans" → `item-5g-plans`), so
+ * generated ids pass the same check as explicit ones and normalized menus
+ * can be prepared again.
+ */
+
+const MENU_KEYS = ['menu', 'right_menu'];
+const NESTED_KEYS = ['children', 'children2', 'subject'];
+const VARIANTS = ['v1', 'v2'];
+const ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const slugify = value => value
+    .normalize('NFKD')
+    // accents decompose into combining marks, dropped so `Ü` becomes `u`
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'item';
+
+/**
+ * Checks the fields shared by every entry, adding `path: problem` messages to `errors`
+ */
+function checkEntry(entry, keyPath, errors, {link = false} = {}) {
+    if (!isPlainObject(entry)) {
+        errors.push(`${keyPath}: must be an object`);
+        return false;
+    }
+    if (!isNonEmptyString(entry.name)) {
+        errors.push(`${keyPath}.name: must be a non-empty string`);
+    }
+    if (link && !isNonEmptyString(entry.url)) {
+        errors.push(`${keyPath}.url: must be a non-empty string`);
+    } else if (entry.url !== undefined && typeof entry.url !== 'string') {
+        errors.push(`${keyPath}.url: must be a string`);
+    }
+    if (entry.id !== undefined && !(typeof entry.id === 'string' && ID_PATTERN.test(entry.id))) {
+        errors.push(`${keyPath}.id: must be lowercase letters, digits and dashes, starting with a letter (got ${JSON.stringify(entry.id)})`);
+    }
+    return true;
+}
+
+function checkList(list, keyPath, errors, checkItem) {
+    if (!Array.isArray(list)) {
+        errors.push(`${keyPath}: must be an array`);
+        return;
+    }
+    list.forEach((item, index) => checkItem(item, `${keyPath}[${index}]`));
+}
+
+function checkLinks(list, keyPath, errors) {
+    checkList(list, keyPath, errors, (item, itemPath) => checkEntry(item, itemPath, errors, {link: true}));
+}
+
+function checkCta(cta, keyPath, errors) {
+    if (!isPlainObject(cta) || !isNonEmptyString(cta.name) || !isNonEmptyString(cta.url)) {
+        errors.push(`${keyPath}: must be {name, url}`);
+    }
+}
+
+function checkOffer(offer, keyPath, errors) {
+    if (!isPlainObject(offer)) {
+        errors.push(`${keyPath}: must be an object`);
+        return;
+    }
+    if (!isNonEmptyString(offer.title)) {
+        errors.push(`${keyPath}.title: must be a non-empty string`);
+    }
+    ['tagline', 'price', 'priceNote', 'note']
+        .filter(key => offer[key] !== undefined && typeof offer[key] !== 'string')
+        .forEach(key => errors.push(`${keyPath}.${key}: must be a string`));
+    checkCta(offer.cta, `${keyPath}.cta`, errors);
+    if (offer.image !== undefined && !(isPlainObject(offer.image) && isNonEmptyString(offer.image.src))) {
+        errors.push(`${keyPath}.image: must be {src, alt?}`);
+    }
+}
+
+function checkTopLevel(item, keyPath, errors) {
+    if (!checkEntry(item, keyPath, errors)) {
+        return;
+    }
+
+    const {megamenu, children} = item;
+    if (megamenu !== undefined && typeof megamenu !== 'boolean' && !VARIANTS.includes(megamenu)) {
+        errors.push(`${keyPath}.megamenu: must be one of ${VARIANTS.map(v => `"${v}"`).join(', ')}, true or false (got ${JSON.stringify(megamenu)})`);
+    }
+    if (children === undefined || (Array.isArray(children) && !children.length)) {
+        if (!isNonEmptyString(item.url)) {
+            errors.push(`${keyPath}.url: must be a non-empty string for an entry without children`);
+        }
+        return;
+    }
+
+    if (megamenu === true || megamenu === 'v2') {
+        checkList(children, `${keyPath}.children`, errors, (child, childPath) => {
+            if (!checkEntry(child, childPath, errors, {link: child?.children2 === undefined})) return;
+            if (child.description !== undefined && typeof child.description !== 'string') {
+                errors.push(`${childPath}.description: must be a string`);
+            }
+            if (child.children2 === undefined) return;
+            checkList(child.children2, `${childPath}.children2`, errors, (entry, entryPath) => {
+                if (!checkEntry(entry, entryPath, errors, {link: entry?.subject === undefined})) return;
+                if (entry.subject !== undefined) {
+                    checkLinks(entry.subject, `${entryPath}.subject`, errors);
+                }
+            });
+        });
+        if (item.banner !== undefined) {
+            if (!isPlainObject(item.banner) || !isNonEmptyString(item.banner.image)) {
+                errors.push(`${keyPath}.banner: must be {image, cta?}`);
+            } else if (item.banner.cta !== undefined) {
+                checkCta(item.banner.cta, `${keyPath}.banner.cta`, errors);
+            }
+        }
+    } else {
+        checkList(children, `${keyPath}.children`, errors, (child, childPath) => {
+            if (!checkEntry(child, childPath, errors, {link: child?.children2 === undefined})) return;
+            if (child.children2 !== undefined) {
+                checkLinks(child.children2, `${childPath}.children2`, errors);
+            }
+        });
+        if (item.offer !== undefined) {
+            checkOffer(item.offer, `${keyPath}.offer`, errors);
+        }
+    }
+}
+
+/**
+ * Calls `fn(entry, keyPath)` for every entry of a menu, nested ones included
+ */
+function walk(menu, keyPath, fn) {
+    if (!Array.isArray(menu)) return;
+    menu.forEach((entry, index) => {
+        const entryPath = `${keyPath}[${index}]`;
+        if (!isPlainObject(entry)) return;
+        fn(entry, entryPath);
+        NESTED_KEYS.forEach(key => walk(entry[key], `${entryPath}.${key}`, fn));
+    });
+}
+
+/**
+ * Checks a menu list against the schema and returns a list of
+ * `path: problem` messages, empty when the menu is valid
+ *
+ * @param {unknown} menu
+ * @param {string} [keyPath='menu'] - prefix of the messages
+ * @param {Map<string, string>} [seenIds] - explicit ids → path, shared to keep
+ * ids unique across menus rendered on the same page
+ * @returns {string[]}
+ */
+function validateMenu(menu, keyPath = 'menu', seenIds = new Map()) {
+    const errors = [];
+    checkList(menu, keyPath, errors, (item, itemPath) => checkTopLevel(item, itemPath, errors));
+
+    walk(menu, keyPath, (entry, entryPath) => {
+        if (typeof entry.id !== 'string') return;
+        if (seenIds.has(entry.id)) {
+            errors.push(`${entryPath}.id: "${entry.id}" is already used by ${seenIds.get(entry.id)}`);
+        } else {
+            seenIds.set(entry.id, entryPath);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Returns a copy of a valid menu with an `id` on every entry and a
+ * `variant` ("link", "v1" or "v2") on every top-level entry
+ *
+ * @param {object[]} menu
+ * @param {Set<string>} [usedIds] - ids taken so far, shared between menus
+ * rendered on the same page
+ * @returns {object[]}
+ */
+function normalizeMenu(menu, usedIds = new Set()) {
+    // Generated ids never take an explicit one, wherever it appears
+    walk(menu, '', entry => entry.id && usedIds.add(entry.id));
+
+    const uniqueId = (entry, parentId) => {
+        if (entry.id) {
+            return entry.id;
+        }
+        const slug = slugify(entry.name);
+        const base = parentId ? `${parentId}-${slug}` : ID_PATTERN.test(slug) ? slug : `item-${slug}`;
+        let id = base;
+        for (let suffix = 2; usedIds.has(id); suffix++) {
+            id = `${base}-${suffix}`;
+        }
+        usedIds.add(id);
+        return id;
+    };
+
+    const normalize = (entry, parentId) => {
+        const copy = {...entry, id: uniqueId(entry, parentId)};
+        NESTED_KEYS.forEach(key => {
+            if (Array.isArray(entry[key])) {
+                copy[key] = entry[key].map(child => normalize(child, copy.id));
+            }
+        });
+        return copy;
+    };
+
+    return menu.map(item => ({
+        ...normalize(item),
+        variant: !item.children?.length
+            ? 'link'
+            : item.megamenu === true || item.megamenu === 'v2' ? 'v2' : 'v1'
+    }));
+}
+
+/**
+ * Validates and normalizes the menus in template data, returning a copy of
+ * the data. Throws with every problem listed when a menu is invalid.
+ *
+ * @param {object} data - template data
+ * @param {string} [source] - named in the error message
+ * @returns {object}
+ */
+function prepareMenus(data, source = 'template data') {
+    const present = MENU_KEYS.filter(key => data[key] !== undefined);
+    if (!present.length) {
+        return data;
+    }
+
+    const seenIds = new Map();
+    const errors = present.flatMap(key => validateMenu(data[key], key, seenIds));
+    if (errors.length) {
+        throw new Error(`Invalid menu in ${source}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const usedIds = new Set(seenIds.keys());
+    return {
+        ...data,
+        ...Object.fromEntries(present.map(key => [key, normalizeMenu(data[key], usedIds)]))
+    };
+}
+
+export { MENU_KEYS, slugify, validateMenu, normalizeMenu, prepareMenus };
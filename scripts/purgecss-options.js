@@ -0,0 +1,36 @@
+/**
+ * PurgeCSS options
+ * Shared by the production CSS pipeline in vite.config.js and the critical CSS
+ * script, so both keep exactly the same selectors. Content paths come from
+ * fe.config.js and are resolved from the project root.
+ */
+
+import {feConfig, resolveGlob} from './fe-config.js';
+
+const purgeCssOptions = {
+    content: [
+        ...feConfig.dotnetViews,
+        `${feConfig.src.views}/**/*.{njk,js,html}`,
+        `${feConfig.src.js}/**/*.js`,
+    ].map(resolveGlob),
+    safelist: [/^swiper/, /^air-datepicker/, /^-/, /^faded-/, /^hidden/, /^show/],
+    defaultExtractor: (content) =>
+        content.match(/[\w\-\/:%]+(?<!:)/g) || [],
+};
+
+/**
+ * Selectors styling classes JS toggles at runtime. The production build fails
+ * if PurgeCSS removes any of them. Strings match a selector exactly, RegExps
+ * are tested against it.
+ */
+const purgeCssMustKeep = [
+    '.sticky-header',
+    /^\.sticky-header--(hidden|shrink)$/,
+    '#search-panel.open',
+    '.navbar .has-megamenu .megamenu.show',
+    '.navbar .has-megamenu .megamenu--v2.show',
+    '.navbar .has-megamenu .megamenu--v2--content2.show',
+    /^\.dropdown-menu\.show$/,
+];
+
+export {purgeCssOptions, purgeCssMustKeep};
@@ -0,0 +1,143 @@
+/**
+ * PurgeCSS report
+ * A drop-in replacement for @fullhuman/postcss-purgecss that records which
+ * selectors every stylesheet loses (or, in dry-run mode, would lose) so
+ * purgeCssReportPlugin can report them per output CSS file.
+ *
+ * It drives PurgeCSS through members its docs don't cover (walkThroughCSS,
+ * selectorsRemoved, removeUnused*), which can change in any release, so
+ * purgecss is pinned to an exact version in package.json. Bump it by hand
+ * and run tests/purgecss-report.test.js, which checks those members.
+ */
+
+import fs from 'fs';
+import { globSync } from 'glob';
+import { PurgeCSS, defaultOptions, mergeExtractorSelectors, standardizeSafelist } from 'purgecss';
+
+const SCRIPT_PATTERN = /\.[cm]?[jt]s$/;
+const STRING_PATTERN = /(['"`])((?:\\.|(?!\1)[^\\])*?)\1/g;
+
+/**
+ * Collects the selectors of every rule under `root`
+ */
+function collectSelectors(root) {
+    const selectors = new Set();
+    root.walkRules(rule => {
+        if (rule.parent?.type === 'atrule' && /keyframes$/.test(rule.parent.name)) {
+            return;
+        }
+        rule.selectors.forEach(selector => selectors.add(selector.trim()));
+    });
+    return selectors;
+}
+
+/**
+ * PostCSS plugin running PurgeCSS with `options`. Removed selectors and the
+ * selectors left over are stored in `report` under the stylesheet's source
+ * file. With `dryRun` the stylesheet is purged on a copy and left untouched.
+ *
+ * @param {import('purgecss').UserDefinedOptions} options
+ * @param {{report: Map<string, {removed: string[], kept: string[]}>, dryRun?: boolean}} reportOptions
+ */
+const purgeCssWithReport = (options, { report, dryRun = false }) => ({
+    postcssPlugin: 'postcss-purgecss-report',
+    async OnceExit(root) {
+        const purgeCSS = new PurgeCSS();
+        purgeCSS.options = {
+            ...defaultOptions,
+            ...options,
+            safelist: standardizeSafelist(options.safelist),
+            rejected: true
+        };
+
+        const { content, extractors } = purgeCSS.options;
+        const selectors = mergeExtractorSelectors(
+            await purgeCSS.extractSelectorsFromFiles(content.filter(item => typeof item === 'string'), extractors),
+            await purgeCSS.extractSelectorsFromString(content.filter(item => typeof item === 'object'), extractors)
+        );
+
+        const target = dryRun ? root.clone() : root;
+        purgeCSS.walkThroughCSS(target, selectors);
+        if (purgeCSS.options.fontFace) purgeCSS.removeUnusedFontFaces();
+        if (purgeCSS.options.keyframes) purgeCSS.removeUnusedKeyframes();
+        if (purgeCSS.options.variables) purgeCSS.removeUnusedCSSVariables();
+
+        const file = root.source?.input.file;
+        if (file) {
+            report.set(file.split('?')[0], {
+                removed: [...purgeCSS.selectorsRemoved].map(selector => selector.trim()),
+                kept: [...collectSelectors(target)]
+            });
+        }
+    }
+});
+purgeCssWithReport.postcss = true;
+
+/**
+ * Splits the content files into the tokens found in markup (templates and
+ * views) and the tokens found inside string literals in scripts. String
+ * fragments ending in `-` or `_` are kept as prefixes, since they usually
+ * build class names at runtime (`'is-' + state`).
+ */
+function collectContentTokens({ content, defaultExtractor }) {
+    const markup = new Set();
+    const scripts = new Set();
+    const prefixes = new Set();
+
+    globSync(content.filter(item => typeof item === 'string'), { nodir: true }).forEach(file => {
+        const text = fs.readFileSync(file, 'utf8');
+        if (!SCRIPT_PATTERN.test(file)) {
+            defaultExtractor(text).forEach(token => markup.add(token));
+            return;
+        }
+
+        for (const [, , value] of text.matchAll(STRING_PATTERN)) {
+            defaultExtractor(value).forEach(token => scripts.add(token));
+            const prefix = value.match(/([\w-]+[-_])$/);
+            if (prefix) {
+                prefixes.add(prefix[1]);
+            }
+        }
+    });
+
+    return { markup, scripts, prefixes };
+}
+
+function classNames(selector) {
+    return [...selector.matchAll(/\.(-?[_a-zA-Z][\w-]*)/g)].map(([, name]) => name);
+}
+
+/**
+ * Selectors whose classes appear in script strings but never in markup,
+ * i.e. classes that only exist because JS adds them
+ */
+function findJsOnlySelectors(selectors, { markup, scripts }) {
+    return selectors.filter(selector => classNames(selector)
+        .some(name => scripts.has(name) && !markup.has(name)));
+}
+
+/**
+ * Purged selectors whose classes start with a prefix JS builds class names
+ * from, i.e. likely added dynamically and purged by mistake
+ */
+function findDynamicCandidates(selectors, { prefixes }) {
+    const list = [...prefixes];
+    return selectors.filter(selector => classNames(selector)
+        .some(name => list.some(prefix => name.startsWith(prefix) && name !== prefix)));
+}
+
+/**
+ * Tests a selector against a must-keep entry: a string must equal the whole
+ * selector, a RegExp is tested against it
+ */
+function matchesMustKeep(selector, entry) {
+    return entry instanceof RegExp ? entry.test(selector) : selector === entry;
+}
+
+export {
+    purgeCssWithReport,
+    collectContentTokens,
+    findJsOnlySelectors,
+    findDynamicCandidates,
+    matchesMustKeep
+};
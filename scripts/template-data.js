@@ -0,0 +1,87 @@
+/**
+ * Template data helpers
+ * Loads the global src/views/data.json and the optional data file that sits
+ * next to a page or component template (`index.html` → `index.data.json`,
+ * `hero.njk` → `hero.data.json`), deep-merged over the global data. The
+ * header menus in the merged data are validated and given ids by menu-schema.js.
+ * Used by vite.config.js, generate-components.js and generate-component-docs.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { feConfig, resolvePath } from './fe-config.js';
+import { prepareMenus } from './menu-schema.js';
+
+const VIEWS_DIR = resolvePath(feConfig.src.views);
+const DATA_FILE = path.join(VIEWS_DIR, 'data.json');
+const DATA_FILE_SUFFIX = '.data.json';
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merges plain objects recursively. Arrays and other values from later
+ * sources replace earlier ones, so a page can swap a whole menu.
+ */
+function deepMerge(target, ...sources) {
+    sources.forEach(source => {
+        if (!isPlainObject(source)) {
+            return;
+        }
+        Object.entries(source).forEach(([key, value]) => {
+            target[key] = isPlainObject(value)
+                ? deepMerge(isPlainObject(target[key]) ? target[key] : {}, value)
+                : value;
+        });
+    });
+    return target;
+}
+
+/**
+ * Reads a JSON file, returning an empty object when it does not exist
+ */
+function readJson(file) {
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.warn(`Warning: Could not parse ${path.relative(process.cwd(), file)}: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Returns the data file path for a template, e.g. `hero.njk` → `hero.data.json`
+ */
+function dataFileFor(templatePath) {
+    const { dir, name } = path.parse(templatePath);
+    return path.join(dir, `${name}${DATA_FILE_SUFFIX}`);
+}
+
+function loadGlobalData() {
+    return readJson(DATA_FILE);
+}
+
+/**
+ * Loads the data for a template: the template's own data file deep-merged
+ * over `baseData` (the global data by default), with the menus prepared.
+ * Throws when a menu does not match the schema.
+ */
+function loadTemplateData(templatePath, baseData = loadGlobalData()) {
+    const data = deepMerge({}, baseData, readJson(dataFileFor(templatePath)));
+    return prepareMenus(data, `the data for ${path.relative(process.cwd(), templatePath)}`);
+}
+
+export {
+    VIEWS_DIR,
+    DATA_FILE,
+    DATA_FILE_SUFFIX,
+    deepMerge,
+    readJson,
+    dataFileFor,
+    loadGlobalData,
+    loadTemplateData
+};
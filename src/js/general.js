@@ -6,3 +6,39 @@ import 'air-datepicker';
 import 'bootstrap/js/dist/collapse';
 import 'bootstrap/js/dist/dropdown';
 import 'bootstrap/js/dist/modal';
+
+import {observeComponents} from '@js/shared/initialization';
+import {focusTrap} from '@js/shared/focus-trap';
+import {scrollLock} from '@js/shared/scroll-lock';
+
+// Pages that inject markup (AJAX partials, modals) opt in with <body data-observe-components>
+if (document.body.hasAttribute('data-observe-components')) {
+    observeComponents();
+}
+
+// Bootstrap modals join the shared focus trap stack and scroll lock, so they
+// nest with the header's panels and stop the page scrolling on iOS too
+const modalReleases = new WeakMap();
+
+document.addEventListener('show.bs.modal', e => {
+    if (!e.defaultPrevented) {
+        modalReleases.set(e.target, {unlockScroll: scrollLock()});
+    }
+});
+document.addEventListener('shown.bs.modal', e => {
+    const release = modalReleases.get(e.target);
+    if (release) {
+        // Bootstrap focuses the modal and returns focus to its trigger itself
+        release.trap = focusTrap(e.target, {initialFocus: false, returnFocus: false});
+    }
+});
+document.addEventListener('hide.bs.modal', e => {
+    // released before Bootstrap moves focus back to the trigger
+    if (!e.defaultPrevented) {
+        modalReleases.get(e.target)?.trap?.release();
+    }
+});
+document.addEventListener('hidden.bs.modal', e => {
+    modalReleases.get(e.target)?.unlockScroll();
+    modalReleases.delete(e.target);
+});
@@ -1,10 +1,11 @@
 import './general'
+import hydrate from './shared/hydration'
 
 const modules = import.meta.glob('../views/components/**/*.js')
 
-for (const path in modules) {
-    modules[path]()
-}
+// Components load only when their root is on the page; see shared/hydration.js for data-hydrate.
+// Pages that inject markup (<body data-observe-components>) also load components for added roots.
+hydrate(modules, {observe: document.body.hasAttribute('data-observe-components')})
 
 
 /* Promo Video */
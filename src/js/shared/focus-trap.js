@@ -0,0 +1,143 @@
+/**
+ * Focus trap
+ * Keeps Tab and Shift+Tab cycling through the focusable elements of one or
+ * more containers, and pulls focus back when it lands outside them. Traps
+ * nest: only the most recent one is active, and releasing it hands control
+ * back to the one below (e.g. a modal opened from the mobile menu).
+ *
+ * Focusable elements are looked up in the containers' own DOM; content in
+ * shadow roots and iframes is not searched.
+ */
+
+const FOCUSABLE = [
+    'a[href]',
+    'area[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'summary',
+    '[contenteditable]:not([contenteditable="false"])',
+    '[tabindex]'
+].join(', ');
+
+const traps = [];
+
+const isFocusable = element => element.tabIndex >= 0
+    && !element.closest('[inert]')
+    && element.getClientRects().length > 0
+    && getComputedStyle(element).visibility !== 'hidden';
+
+/**
+ * The focusable elements inside `containers`, in document order
+ *
+ * @param {Element|Element[]} containers
+ * @returns {HTMLElement[]}
+ */
+const getFocusable = (containers) => {
+    const list = [].concat(containers).filter(Boolean);
+    const elements = list.flatMap(container => [
+        ...(container.matches(FOCUSABLE) ? [container] : []),
+        ...container.querySelectorAll(FOCUSABLE)
+    ]);
+
+    return [...new Set(elements)]
+        .filter(isFocusable)
+        .sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+};
+
+const activeTrap = () => traps[traps.length - 1];
+
+const onKeydown = (e) => {
+    const trap = activeTrap();
+    if (e.key !== 'Tab' || !trap) {
+        return;
+    }
+
+    e.preventDefault();
+    const elements = getFocusable(trap.containers);
+    if (!elements.length) {
+        trap.fallback.focus();
+        return;
+    }
+
+    const index = elements.indexOf(document.activeElement);
+    const next = e.shiftKey
+        ? elements[index <= 0 ? elements.length - 1 : index - 1]
+        : elements[index === -1 || index === elements.length - 1 ? 0 : index + 1];
+    next.focus();
+};
+
+const onFocusIn = (e) => {
+    const trap = activeTrap();
+    if (trap && !trap.contains(e.target)) {
+        (getFocusable(trap.containers)[0] || trap.fallback).focus();
+    }
+};
+
+/**
+ * @typedef {Object} FocusTrapOptions
+ * @property {HTMLElement|false} [initialFocus] - focused on activation; by default
+ * the first focusable element, unless focus is already inside the trap
+ * @property {boolean|HTMLElement} [returnFocus=true] - on release, focus the element
+ * that had focus on activation (`true`) or the given element
+ */
+
+/**
+ * Traps focus inside `containers` until released
+ *
+ * @param {Element|Element[]} containers
+ * @param {FocusTrapOptions} [options]
+ * @returns {{release: (options?: {returnFocus?: boolean|HTMLElement}) => void}}
+ */
+const focusTrap = (containers, {initialFocus, returnFocus = true} = {}) => {
+    const list = [].concat(containers).filter(Boolean);
+    const previousFocus = document.activeElement;
+    // Focused when the trap has nothing focusable
+    const fallback = list[0];
+    const addedTabindex = Boolean(fallback) && fallback.tabIndex < 0 && !fallback.hasAttribute('tabindex');
+    if (addedTabindex) {
+        fallback.setAttribute('tabindex', '-1');
+    }
+
+    const trap = {
+        containers: list,
+        fallback,
+        contains: node => list.some(container => container.contains(node))
+    };
+
+    if (!traps.length) {
+        document.addEventListener('keydown', onKeydown);
+        document.addEventListener('focusin', onFocusIn);
+    }
+    traps.push(trap);
+
+    if (initialFocus !== false && !(initialFocus === undefined && trap.contains(document.activeElement))) {
+        (initialFocus || getFocusable(list)[0] || fallback)?.focus();
+    }
+
+    let released = false;
+    return {
+        release({returnFocus: restore = returnFocus} = {}) {
+            if (released) {
+                return;
+            }
+            released = true;
+            traps.splice(traps.indexOf(trap), 1);
+            if (!traps.length) {
+                document.removeEventListener('keydown', onKeydown);
+                document.removeEventListener('focusin', onFocusIn);
+            }
+            if (addedTabindex) {
+                fallback.removeAttribute('tabindex');
+            }
+
+            const target = restore === true ? previousFocus : restore;
+            if (target && target.isConnected && typeof target.focus === 'function') {
+                target.focus();
+            }
+        }
+    };
+};
+
+export {focusTrap, getFocusable};
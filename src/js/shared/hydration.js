@@ -0,0 +1,166 @@
+/**
+ * Lazy component hydration
+ * Imports a component module only when its root element is on the page. A
+ * root can delay the import with `data-hydrate`:
+ *
+ *   load         import right away (default)
+ *   idle         import once the browser is idle
+ *   visible      import when the root scrolls into view
+ *   interaction  import on the first pointer, touch or focus on the root
+ *
+ * The module is imported once, when the first of its roots triggers. With
+ * `observe`, roots added to the page later (AJAX partials, modals) are picked
+ * up too, so a component that wasn't on the page at load still gets imported;
+ * once imported, defineComponent and observeComponents mount it.
+ */
+
+const STRATEGIES = ['load', 'idle', 'visible', 'interaction'];
+const INTERACTION_EVENTS = ['pointerover', 'touchstart', 'focusin'];
+const IDLE_TIMEOUT = 2000;
+
+/**
+ * Root selector of a component module by convention: the class named after
+ * the file (`hero.js` → `.hero`, as scaffolded) or `[data-component="<Folder>"]`
+ */
+const toRootSelector = (path) => {
+    const parts = path.split('/');
+    const file = parts[parts.length - 1].replace(/\.js$/, '').replace(/^_/, '');
+    return `.${CSS.escape(file)}, [data-component="${parts[parts.length - 2]}"]`;
+};
+
+const findRoots = (root, selector) => {
+    try {
+        const roots = Array.from(root.querySelectorAll(selector));
+        if (root instanceof Element && root.matches(selector)) {
+            roots.unshift(root);
+        }
+        return roots;
+    } catch (error) {
+        console.warn(`[hydration] Invalid root selector "${selector}"`, error);
+        return [];
+    }
+};
+
+const onIdle = (callback) => {
+    if ('requestIdleCallback' in window) {
+        window.requestIdleCallback(callback, {timeout: IDLE_TIMEOUT});
+    } else {
+        setTimeout(callback, 1);
+    }
+};
+
+const onInteraction = (root, callback) => {
+    const handler = () => {
+        INTERACTION_EVENTS.forEach(type => root.removeEventListener(type, handler));
+        callback();
+    };
+    INTERACTION_EVENTS.forEach(type => root.addEventListener(type, handler, {passive: true}));
+};
+
+const createVisibilityObserver = (rootMargin) => {
+    if (!('IntersectionObserver' in window)) {
+        return null;
+    }
+
+    const callbacks = new WeakMap();
+    const observer = new IntersectionObserver(entries => {
+        entries.filter(entry => entry.isIntersecting).forEach(entry => {
+            observer.unobserve(entry.target);
+            callbacks.get(entry.target)?.();
+        });
+    }, {rootMargin});
+
+    return (root, callback) => {
+        callbacks.set(root, callback);
+        observer.observe(root);
+    };
+};
+
+/**
+ * @param {Object<string, () => Promise<unknown>>} modules - loaders from `import.meta.glob`
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.selectors] - root selectors by component folder,
+ * for components that don't follow the naming convention
+ * @param {string} [options.rootMargin] - how far ahead of the viewport `visible` roots load
+ * @param {boolean} [options.observe=false] - also watch the page for roots added later
+ * @returns {() => void} stops watching for added roots
+ */
+const hydrate = (modules, {selectors = {}, rootMargin = '200px', observe = false} = {}) => {
+    const onVisible = createVisibilityObserver(rootMargin);
+    const handled = new WeakSet();
+
+    const pending = Object.entries(modules).map(([path, loader]) => {
+        const folder = path.split('/').slice(-2)[0];
+        const entry = {path, folder, selector: selectors[folder] || toRootSelector(path), loading: null};
+        entry.load = () => {
+            entry.loading = entry.loading || loader().catch(error => {
+                console.error(`[hydration] Failed to load ${path}`, error);
+            });
+        };
+        return entry;
+    });
+
+    const scan = (container) => {
+        pending.filter(entry => !entry.loading).forEach(entry => {
+            findRoots(container, entry.selector).filter(root => !handled.has(root)).forEach(root => {
+                handled.add(root);
+
+                let strategy = root.getAttribute('data-hydrate') || 'load';
+                if (!STRATEGIES.includes(strategy)) {
+                    console.warn(`[hydration] Unknown data-hydrate="${strategy}" on ${entry.folder}, loading it right away`);
+                    strategy = 'load';
+                }
+
+                if (strategy === 'idle') {
+                    onIdle(entry.load);
+                } else if (strategy === 'visible' && onVisible) {
+                    onVisible(root, entry.load);
+                } else if (strategy === 'interaction') {
+                    onInteraction(root, entry.load);
+                } else {
+                    entry.load();
+                }
+            });
+        });
+    };
+
+    scan(document);
+    if (!observe) {
+        return () => {};
+    }
+
+    // Added nodes are collected and scanned once per animation frame
+    const added = new Set();
+    let frame = null;
+
+    const flush = () => {
+        frame = null;
+        const nodes = Array.from(added).filter(node => node.isConnected);
+        added.clear();
+        nodes.forEach(scan);
+        if (pending.every(entry => entry.loading)) {
+            observer.disconnect();
+        }
+    };
+
+    const observer = new MutationObserver(mutations => {
+        mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                added.add(node);
+            }
+        }));
+        if (!frame && added.size) {
+            frame = requestAnimationFrame(flush);
+        }
+    });
+    observer.observe(document.body, {childList: true, subtree: true});
+
+    return () => {
+        if (frame) {
+            cancelAnimationFrame(frame);
+        }
+        observer.disconnect();
+    };
+};
+
+export default hydrate;
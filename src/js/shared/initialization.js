@@ -1,3 +1,7 @@
+/**
+ * Runs `fn` once per wrapper and marks it with `data-initialized`.
+ * Kept for existing components; new components use defineComponent.
+ */
 const init = (wrappers, fn) => {
     const list = Array.from(wrappers);
 
@@ -11,4 +15,188 @@ const init = (wrappers, fn) => {
     });
 }
 
+/**
+ * @typedef {Object} ComponentDefinition
+ * @property {string} selector - matches the component's root elements
+ * @property {(element: Element) => (void|(() => void))} mount - sets up one root; may return a cleanup function
+ * @property {(element: Element) => void} [unmount] - tears down one root, after the cleanup returned by mount
+ */
+
+// name → {definition, instances: Map<Element, cleanup>}
+const components = new Map();
+
+const matchesIn = (root, selector) => {
+    const matches = Array.from(root.querySelectorAll(selector));
+    if (root instanceof Element && root.matches(selector)) {
+        matches.unshift(root);
+    }
+    return matches;
+};
+
+const mountElement = (name, element) => {
+    const {definition, instances} = components.get(name);
+    if (instances.has(element)) {
+        return;
+    }
+
+    try {
+        const cleanup = definition.mount(element);
+        instances.set(element, typeof cleanup === 'function' ? cleanup : null);
+    } catch (error) {
+        console.error(`[${name}] mount failed`, error);
+    }
+};
+
+const unmountElement = (name, element) => {
+    const {definition, instances} = components.get(name);
+    if (!instances.has(element)) {
+        return;
+    }
+
+    const cleanup = instances.get(element);
+    instances.delete(element);
+    try {
+        cleanup?.();
+        definition.unmount?.(element);
+    } catch (error) {
+        console.error(`[${name}] unmount failed`, error);
+    }
+};
+
+const mountIn = (name, root) => {
+    matchesIn(root, components.get(name).definition.selector).forEach(element => mountElement(name, element));
+};
+
+const unmountIn = (name, root) => {
+    Array.from(components.get(name).instances.keys())
+        .filter(element => element === root || root.contains(element))
+        .forEach(element => unmountElement(name, element));
+};
+
+/**
+ * Unmounts every instance of `name` whose root has left the document
+ */
+const pruneDetached = (name) => {
+    Array.from(components.get(name).instances.keys())
+        .filter(element => !element.isConnected)
+        .forEach(element => unmountElement(name, element));
+};
+
+/**
+ * Mounts registered components on the matching elements inside `root`
+ * (including `root` itself), e.g. after injecting markup with AJAX. Elements
+ * already mounted are skipped; instances whose root was removed from the
+ * document are unmounted.
+ *
+ * @param {ParentNode} [root=document]
+ */
+const mountComponents = (root = document) => {
+    components.forEach((_, name) => {
+        pruneDetached(name);
+        mountIn(name, root);
+    });
+};
+
+/**
+ * Unmounts the registered components inside `root` (including `root` itself),
+ * e.g. before replacing its markup
+ *
+ * @param {ParentNode} [root=document]
+ */
+const unmountComponents = (root = document) => {
+    components.forEach((_, name) => unmountIn(name, root));
+};
+
+/**
+ * Registers a component and mounts it on the matching elements in the
+ * document. Defining a name again (its module re-running under HMR)
+ * unmounts the instances of the previous definition first, so listeners
+ * never stack up.
+ *
+ * @param {string} name
+ * @param {ComponentDefinition} definition
+ */
+const defineComponent = (name, definition) => {
+    if (components.has(name)) {
+        Array.from(components.get(name).instances.keys()).forEach(element => unmountElement(name, element));
+    }
+
+    components.set(name, {definition, instances: new Map()});
+    mountIn(name, document);
+
+    return {
+        name,
+        mount: (root = document) => mountIn(name, root),
+        unmount: (root = document) => unmountIn(name, root)
+    };
+}
+
+let observer = null;
+
+/**
+ * Watches `root` for added and removed nodes and mounts or unmounts the
+ * registered components inside them, so markup injected later (AJAX
+ * partials, modals) needs no manual mountComponents call. Mutations are
+ * collected and handled once per animation frame; nodes moved within the
+ * frame stay mounted. Only one observer runs at a time.
+ *
+ * @param {Node} [root=document.body]
+ * @returns {() => void} stops observing
+ */
+const observeComponents = (root = document.body) => {
+    observer?.disconnect();
+
+    const added = new Set();
+    const removed = new Set();
+    let frame = null;
+
+    const flush = () => {
+        frame = null;
+        const removedNodes = Array.from(removed).filter(node => !node.isConnected);
+        // Nodes inside another added node are scanned with it
+        const addedNodes = Array.from(added)
+            .filter(node => node.isConnected)
+            .filter((node, _, nodes) => !nodes.some(other => other !== node && other.contains(node)));
+        removed.clear();
+        added.clear();
+
+        components.forEach((_, name) => {
+            removedNodes.forEach(node => unmountIn(name, node));
+            addedNodes.forEach(node => mountIn(name, node));
+        });
+    };
+
+    const current = new MutationObserver(mutations => {
+        mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    added.add(node);
+                }
+            });
+            mutation.removedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    removed.add(node);
+                }
+            });
+        });
+
+        if (!frame && (added.size || removed.size)) {
+            frame = requestAnimationFrame(flush);
+        }
+    });
+    current.observe(root, {childList: true, subtree: true});
+    observer = current;
+
+    return () => {
+        if (frame) {
+            cancelAnimationFrame(frame);
+        }
+        current.disconnect();
+        if (observer === current) {
+            observer = null;
+        }
+    };
+}
+
+export {defineComponent, mountComponents, unmountComponents, observeComponents};
 export default init;
@@ -0,0 +1,74 @@
+/**
+ * Scroll lock
+ * Stops the page behind an overlay (mobile menu, search panel, modal) from
+ * scrolling. Locks are counted, so the page unlocks when the last one is
+ * released. Both <html> and <body> get `overflow: hidden`: the main styles
+ * give <html> `overflow-x: hidden`, which makes it the page scroller, so the
+ * body's overflow alone never reaches the viewport. The scrollbar's width is
+ * measured first and added to the body's padding so the layout doesn't
+ * shift. iOS Safari ignores `overflow: hidden` on the body,
+ * so there the body is also fixed in place at the current scroll position,
+ * which is restored on unlock.
+ */
+
+const LOCKED_STYLES = ['overflow', 'paddingRight', 'position', 'top', 'left', 'right'];
+
+let locks = 0;
+let saved = null;
+
+const isIOS = () => /iP(hone|ad|od)/.test(navigator.platform)
+    || (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+
+const lock = () => {
+    const {body, documentElement} = document;
+    const scrollbarWidth = window.innerWidth - documentElement.clientWidth;
+
+    saved = {
+        scrollY: window.scrollY,
+        rootOverflow: documentElement.style.overflow,
+        styles: Object.fromEntries(LOCKED_STYLES.map(name => [name, body.style[name]]))
+    };
+
+    documentElement.style.overflow = 'hidden';
+    body.style.overflow = 'hidden';
+    if (scrollbarWidth > 0) {
+        const padding = parseFloat(getComputedStyle(body).paddingRight) || 0;
+        body.style.paddingRight = `${padding + scrollbarWidth}px`;
+    }
+    if (isIOS()) {
+        Object.assign(body.style, {position: 'fixed', top: `-${saved.scrollY}px`, left: '0', right: '0'});
+    }
+};
+
+const unlock = () => {
+    document.documentElement.style.overflow = saved.rootOverflow;
+    Object.assign(document.body.style, saved.styles);
+    if (isIOS()) {
+        window.scrollTo({top: saved.scrollY, behavior: 'instant'});
+    }
+    saved = null;
+};
+
+/**
+ * Locks page scrolling
+ *
+ * @returns {() => void} releases this lock
+ */
+const scrollLock = () => {
+    if (locks++ === 0) {
+        lock();
+    }
+
+    let released = false;
+    return () => {
+        if (released) {
+            return;
+        }
+        released = true;
+        if (--locks === 0) {
+            unlock();
+        }
+    };
+};
+
+export {scrollLock};
@@ -0,0 +1,129 @@
+/**
+ * Sticky header
+ * Scroll behaviour of a page header, read once per animation frame from a
+ * passive scroll listener:
+ *
+ *   sticky  fixed to the top once the page scrolls (default)
+ *   hide    sticky, but slides away while scrolling down past `threshold`
+ *           and comes back on scrolling up
+ *   shrink  sticky, and compact after scrolling past `threshold`
+ *
+ * The element gets `sticky-header`, `sticky-header--hidden` and
+ * `sticky-header--shrink`. The visible header height is kept in a CSS custom
+ * property on <html> (`--header-height`, 0px while hidden) for anchor
+ * offsets and elements positioned under the header. With
+ * `prefers-reduced-motion: reduce`, `hide` behaves as `sticky` so the header
+ * never slides in and out.
+ */
+
+const MODES = ['sticky', 'hide', 'shrink'];
+
+const CLASSES = {
+    sticky: 'sticky-header',
+    hidden: 'sticky-header--hidden',
+    shrink: 'sticky-header--shrink'
+};
+
+/**
+ * @typedef {Object} StickyHeaderOptions
+ * @property {'sticky'|'hide'|'shrink'} [mode='sticky']
+ * @property {number} [threshold=100] - scroll distance in px before the header hides or shrinks
+ * @property {number} [tolerance=8] - scroll distance in px in one direction before `hide` reacts
+ * @property {string} [property='--header-height'] - CSS custom property set on <html>
+ */
+
+/**
+ * Applies the scroll behaviour to `element`
+ *
+ * @param {HTMLElement} element
+ * @param {StickyHeaderOptions} [options]
+ * @returns {{pause: () => void, resume: () => void, destroy: () => void}} `pause`
+ * shows the header and ignores scrolling until `resume` (e.g. while a panel locks page scrolling)
+ */
+const stickyHeader = (element, {mode = 'sticky', threshold = 100, tolerance = 8, property = '--header-height'} = {}) => {
+    if (!MODES.includes(mode)) {
+        console.warn(`[sticky-header] Unknown mode "${mode}", expected one of: ${MODES.join(', ')}`);
+        mode = 'sticky';
+    }
+
+    const reducedMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+    const root = document.documentElement;
+    let lastY = window.scrollY;
+    let frame = null;
+    let paused = false;
+
+    const setHeight = () => {
+        const hidden = element.classList.contains(CLASSES.hidden);
+        root.style.setProperty(property, `${hidden ? 0 : element.offsetHeight}px`);
+    };
+
+    const setHidden = (hidden) => {
+        if (element.classList.contains(CLASSES.hidden) !== hidden) {
+            element.classList.toggle(CLASSES.hidden, hidden);
+            setHeight();
+        }
+    };
+
+    const update = () => {
+        frame = null;
+        if (paused) return;
+
+        const y = Math.max(window.scrollY, 0);
+        const classes = element.className;
+        element.classList.toggle(CLASSES.sticky, y >= 1);
+        if (mode === 'shrink') {
+            element.classList.toggle(CLASSES.shrink, y >= threshold);
+        }
+
+        if (mode !== 'hide' || reducedMotion?.matches) {
+            setHidden(false);
+        } else if (Math.abs(y - lastY) >= tolerance) {
+            // Keyboard users tabbing into the header keep it in view
+            setHidden(y > lastY && y >= threshold && !element.contains(document.activeElement));
+            lastY = y;
+        }
+        if (element.className !== classes) {
+            setHeight();
+        }
+    };
+
+    const onScroll = () => {
+        frame ??= requestAnimationFrame(update);
+    };
+
+    const onFocusIn = () => setHidden(false);
+
+    const resizeObserver = typeof ResizeObserver === 'function' ? new ResizeObserver(setHeight) : null;
+    resizeObserver?.observe(element);
+
+    window.addEventListener('scroll', onScroll, {passive: true});
+    element.addEventListener('focusin', onFocusIn);
+    reducedMotion?.addEventListener?.('change', onScroll);
+    update();
+    setHeight();
+
+    return {
+        pause() {
+            paused = true;
+            setHidden(false);
+        },
+        resume() {
+            paused = false;
+            lastY = window.scrollY;
+            update();
+        },
+        destroy() {
+            if (frame) {
+                cancelAnimationFrame(frame);
+            }
+            window.removeEventListener('scroll', onScroll);
+            element.removeEventListener('focusin', onFocusIn);
+            reducedMotion?.removeEventListener?.('change', onScroll);
+            resizeObserver?.disconnect();
+            element.classList.remove(...Object.values(CLASSES));
+            root.style.removeProperty(property);
+        }
+    };
+};
+
+export {stickyHeader};
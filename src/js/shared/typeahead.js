@@ -0,0 +1,276 @@
+/**
+ * Typeahead
+ * Live suggestions for a search input, following the WAI-ARIA combobox
+ * pattern: the input keeps focus, Up/Down move through a listbox popup via
+ * `aria-activedescendant`, Enter picks the active option and Escape closes
+ * the list. Queries are debounced and sent to `endpoint` as `?q=`; the
+ * response is an array of strings or `{suggestions: [{label, url?, category?}]}`.
+ * Searches submitted from the form are kept in localStorage and offered
+ * while the input is empty.
+ */
+
+const DEFAULTS = {
+    endpoint: '/api/search/suggestions',
+    minLength: 2,
+    debounce: 200,
+    limit: 8,
+    storageKey: 'search:recent',
+    recentLimit: 5
+};
+
+let typeaheadCount = 0;
+
+const normalize = data => (Array.isArray(data) ? data : data?.suggestions ?? [])
+    .map(item => typeof item === 'string' ? {label: item} : item)
+    .filter(item => item && typeof item.label === 'string');
+
+/**
+ * Appends `text` to `parent`, wrapping the first match of `query` in <mark>
+ */
+const appendHighlighted = (parent, text, query) => {
+    const index = query ? text.toLowerCase().indexOf(query.toLowerCase()) : -1;
+    if (index === -1) {
+        parent.append(text);
+        return;
+    }
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(index, index + query.length);
+    parent.append(text.slice(0, index), mark, text.slice(index + query.length));
+};
+
+class Typeahead {
+    /**
+     * @param {HTMLInputElement} input
+     * @param {Partial<typeof DEFAULTS>} [options]
+     */
+    constructor(input, options = {}) {
+        this.input = input;
+        // undefined options (e.g. a missing data attribute) keep their default
+        this.options = {...DEFAULTS, ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))};
+        this.items = [];
+        this.activeIndex = -1;
+        this.timer = null;
+        this.request = null;
+        this.listeners = [];
+
+        const id = `${input.id || `typeahead-${++typeaheadCount}`}-suggestions`;
+        this.listbox = document.createElement('ul');
+        this.listbox.id = id;
+        this.listbox.className = 'search-suggestions';
+        this.listbox.setAttribute('role', 'listbox');
+        this.listbox.hidden = true;
+
+        this.status = document.createElement('div');
+        this.status.className = 'visually-hidden';
+        this.status.setAttribute('role', 'status');
+        input.parentElement.append(this.listbox, this.status);
+
+        this.initialAttributes = Object.fromEntries(['role', 'autocomplete', 'aria-autocomplete', 'aria-expanded', 'aria-controls']
+            .map(name => [name, input.getAttribute(name)]));
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('autocomplete', 'off');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('aria-controls', id);
+
+        this.on(input, 'input', () => this.onInput());
+        this.on(input, 'focus', () => this.onInput());
+        this.on(input, 'keydown', e => this.onKeydown(e));
+        this.on(input, 'blur', () => this.close());
+        // keeps focus in the input while an option is clicked
+        this.on(this.listbox, 'mousedown', e => e.preventDefault());
+        this.on(this.listbox, 'click', e => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.select(Number(option.dataset.index));
+            }
+        });
+        if (input.form) {
+            this.on(input.form, 'submit', () => this.saveRecent(input.value));
+        }
+    }
+
+    on(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push(() => target.removeEventListener(type, handler));
+    }
+
+    get query() {
+        return this.input.value.trim();
+    }
+
+    onInput() {
+        clearTimeout(this.timer);
+        this.request?.abort();
+
+        if (!this.query) {
+            this.render(this.recent().map(label => ({label, recent: true})), 'Recent searches');
+        } else if (this.query.length < this.options.minLength) {
+            this.close();
+        } else {
+            this.timer = setTimeout(() => this.fetchSuggestions(this.query), this.options.debounce);
+        }
+    }
+
+    async fetchSuggestions(query) {
+        const controller = new AbortController();
+        this.request = controller;
+        const url = new URL(this.options.endpoint, window.location.href);
+        url.searchParams.set('q', query);
+        url.searchParams.set('limit', String(this.options.limit));
+
+        try {
+            const response = await fetch(url, {signal: controller.signal, headers: {Accept: 'application/json'}});
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            const suggestions = normalize(await response.json()).slice(0, this.options.limit);
+            if (query === this.query) {
+                this.render(suggestions, 'Suggestions');
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn('[typeahead] Suggestions request failed', error);
+                this.close();
+            }
+        }
+    }
+
+    render(items, label) {
+        this.items = items;
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+        this.listbox.setAttribute('aria-label', label);
+
+        this.listbox.replaceChildren(...items.map((item, index) => {
+            const option = document.createElement('li');
+            option.id = `${this.listbox.id}-${index}`;
+            option.className = `search-suggestions__option${item.recent ? ' search-suggestions__option--recent' : ''}`;
+            option.dataset.index = String(index);
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+            appendHighlighted(option, item.label, item.recent ? '' : this.query);
+            if (item.category) {
+                const category = document.createElement('span');
+                category.className = 'search-suggestions__category';
+                category.textContent = item.category;
+                option.append(category);
+            }
+            return option;
+        }));
+
+        const isOpen = items.length > 0;
+        this.listbox.hidden = !isOpen;
+        this.input.setAttribute('aria-expanded', String(isOpen));
+        this.status.textContent = isOpen
+            ? `${items.length} ${label.toLowerCase()} available, use up and down arrows to review`
+            : this.query ? 'No suggestions' : '';
+    }
+
+    get isOpen() {
+        return !this.listbox.hidden;
+    }
+
+    close() {
+        clearTimeout(this.timer);
+        this.request?.abort();
+        if (this.isOpen) {
+            this.render([], '');
+        }
+        this.status.textContent = '';
+    }
+
+    setActive(index) {
+        const options = this.listbox.querySelectorAll('[role="option"]');
+        this.activeIndex = (index + options.length) % options.length;
+        options.forEach((option, i) => option.setAttribute('aria-selected', String(i === this.activeIndex)));
+
+        const active = options[this.activeIndex];
+        this.input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView?.({block: 'nearest'});
+    }
+
+    onKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                if (!this.isOpen) {
+                    this.onInput();
+                } else if (this.items.length) {
+                    // Up from the input goes to the last option
+                    this.setActive(this.activeIndex === -1 && step < 0 ? -1 : this.activeIndex + step);
+                }
+                break;
+            }
+            case 'Enter':
+                if (this.isOpen && this.activeIndex !== -1) {
+                    e.preventDefault();
+                    this.select(this.activeIndex);
+                }
+                break;
+            case 'Escape':
+                if (this.isOpen) {
+                    // closes the list only, not the panel around it
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.close();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Follows the option's link, or searches for its label
+     */
+    select(index) {
+        const item = this.items[index];
+        if (!item) return;
+
+        this.saveRecent(item.label);
+        this.close();
+        if (item.url) {
+            window.location.assign(item.url);
+            return;
+        }
+        this.input.value = item.label;
+        this.input.form?.requestSubmit();
+    }
+
+    recent() {
+        try {
+            const list = JSON.parse(localStorage.getItem(this.options.storageKey) || '[]');
+            return Array.isArray(list) ? list.filter(item => typeof item === 'string') : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveRecent(value) {
+        const query = value.trim();
+        if (!query || !this.options.recentLimit) return;
+
+        const list = [query, ...this.recent().filter(item => item.toLowerCase() !== query.toLowerCase())]
+            .slice(0, this.options.recentLimit);
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify(list));
+        } catch (error) {
+            // storage full or disabled: recent searches are a nice-to-have
+        }
+    }
+
+    destroy() {
+        this.close();
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        this.listbox.remove();
+        this.status.remove();
+        Object.entries(this.initialAttributes).forEach(([name, value]) => {
+            value === null ? this.input.removeAttribute(name) : this.input.setAttribute(name, value);
+        });
+        this.input.removeAttribute('aria-activedescendant');
+    }
+}
+
+export {Typeahead};
@@ -1,10 +1,17 @@
 import './divider.scss';
-import init from '@js/shared/initialization';
+import {defineComponent} from '@js/shared/initialization';
 
 /**
  * Divider Component
  * Auto-generated from Figma
  */
-init(document.querySelectorAll('.divider'), wrapper => {
-    // Divider initialization logic
+defineComponent('Divider', {
+    selector: '.divider',
+    mount(wrapper) {
+        // Divider initialization logic
+    }
 });
+
+if (import.meta.hot) {
+    import.meta.hot.accept();
+}
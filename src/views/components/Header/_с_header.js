@@ -1,240 +1,452 @@
 import './_c_header.scss';
-
-// Search Panel 
-
-const handleSearchToggle = () => {
-    const searchPanel = document.getElementById('search-panel');
-    searchPanel?.classList.toggle('open');
-    searchPanel?.getElementsByClassName('headersearchInput')[0]?.focus();
+import {defineComponent} from '@js/shared/initialization';
+import {focusTrap, getFocusable} from '@js/shared/focus-trap';
+import {scrollLock} from '@js/shared/scroll-lock';
+import {stickyHeader} from '@js/shared/sticky-header';
+import {Typeahead} from '@js/shared/typeahead';
+
+const PANELS = ['navigation', 'search'];
+const LEVELS = {
+    1: '.megamenu--v2--level1',
+    2: '.megamenu--v2--level2',
+    3: '.megamenu--v2--level3'
+};
+// The trigger class opening each level
+const LEVEL_TRIGGERS = {
+    2: 'trigger-level2',
+    3: 'trigger-submenu'
 };
 
-// Apply to both desktop and mobile buttons
-document.getElementById('search-button')?.addEventListener('click', handleSearchToggle);
-document.getElementById('search-button-mobile')?.addEventListener('click', handleSearchToggle);
-
-
-// Find the element with the "close-panel" class
-document.querySelector('.close-panel')?.addEventListener('click', () => {
-    document.querySelector('.open')?.classList.remove('open');
-});
-
-// Header sticky    
-const header = document.querySelector("header");
+let headerCount = 0;
+const instances = new WeakMap();
+
+const isVisible = element => element.getClientRects().length > 0;
+// The panel a trigger opens, by the id the menu macros render into aria-controls
+const controlledPanel = trigger => document.getElementById(trigger.getAttribute('aria-controls') ?? '');
+
+/**
+ * Header
+ * Search panel, sticky header (mode from `data-sticky`, see sticky-header.js),
+ * mobile navigation with sliding levels and the Mega Menu V2. The mobile menu,
+ * each of its open levels and the search panel trap focus and lock page
+ * scrolling while open. The mega menu levels follow the WAI-ARIA disclosure pattern:
+ * level 1 and 2 links open the panel named by their `aria-controls` (rendered
+ * by src/views/macros/menu.njk, `aria-expanded` kept in sync), arrow keys move
+ * within and across levels, Home/End jump to the first/last link and Escape
+ * closes the menu.
+ *
+ * Public API (`Header.getInstance(element)`): `open(panel)`, `close(panel)`
+ * for the `navigation` (mobile) and `search` panels and `goToLevel(level, id)`
+ * for the mega menu. They dispatch `header:open`, `header:close` ({panel}) and `header:level`
+ * ({level, id}) on the header element.
+ */
+class Header {
+    /**
+     * The Header mounted on `element`, if any
+     */
+    static getInstance(element) {
+        return instances.get(element) ?? null;
+    }
 
-window.addEventListener('scroll', () => {
-    header?.classList.toggle("sticky-header", window.scrollY >= 1);
-});
+    constructor(element) {
+        this.element = element;
+        this.prefix = element.id || `header-${++headerCount}`;
+        this.listeners = [];
+
+        this.searchPanel = document.getElementById('search-panel');
+        this.searchButtons = ['search-button', 'search-button-mobile']
+            .map(id => document.getElementById(id))
+            .filter(Boolean);
+        this.hamburger = element.querySelector('.hamburger');
+        this.navigation = element.querySelector('.menu-nav-mobile');
+        this.megamenu = element.querySelector('.megamenu--v2');
+        this.lastSearchButton = null;
+        this.typeahead = null;
+        this.sticky = null;
+        // Focus trap and scroll lock release functions by panel, and focus traps by open mobile level
+        this.releases = {};
+        this.levelTraps = new Map();
+
+        this.initSearch();
+        this.initSticky();
+        this.initNavigation();
+        this.initMegamenu();
+        element.querySelectorAll('.dropdown-menu').forEach(menu => {
+            // keeps Bootstrap from closing the dropdown on clicks inside it
+            this.on(menu, 'click', e => e.stopPropagation());
+        });
+        instances.set(element, this);
+    }
 
+    on(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push(() => target.removeEventListener(type, handler, options));
+    }
 
-// Mega menu
+    emit(name, detail) {
+        this.element.dispatchEvent(new CustomEvent(`header:${name}`, {bubbles: true, detail}));
+    }
 
-document.querySelectorAll('.dropdown-menu').forEach(element => {
-    element.addEventListener('click', e => e.stopPropagation());
-});
+    ensureId(element, suffix) {
+        if (!element.id) {
+            element.id = `${this.prefix}-${suffix}`;
+        }
+        return element.id;
+    }
 
-// Mobile menu
+    /**
+     * @param {'navigation'|'search'} panel
+     */
+    isOpen(panel) {
+        if (panel === 'navigation') {
+            return Boolean(this.navigation?.classList.contains('active'));
+        }
+        if (panel === 'search') {
+            return Boolean(this.searchPanel?.classList.contains('open'));
+        }
+        throw new Error(`Unknown header panel "${panel}", expected one of: ${PANELS.join(', ')}`);
+    }
 
-const hamburger = document.querySelector(".hamburger");
-const navMenu = document.querySelector(".menu-nav-mobile");
-const focusableSelectors = 'a, button, input, textarea, select, [tabindex]:not([tabindex="-1"])';
+    /**
+     * @param {'navigation'|'search'} panel
+     */
+    open(panel) {
+        if (this.isOpen(panel)) {
+            return;
+        }
 
-let focusableElements, firstFocusableElement, lastFocusableElement;
+        if (panel === 'navigation') {
+            if (!this.navigation) return;
+            // Close the chat widget and any open slider panel first
+            document.querySelector("[data-lp-point='close']")?.click();
+            document.querySelector('.LPMslider [aria-expanded="true"]')?.click();
+
+            this.hamburger?.classList.add('active');
+            this.hamburger?.setAttribute('aria-expanded', 'true');
+            this.navigation.classList.add('active');
+            this.navigation.setAttribute('aria-hidden', 'false');
+            this.lock(panel, [this.hamburger, this.navigation], getFocusable(this.navigation)[0]);
+        } else {
+            if (!this.searchPanel) return;
+            this.searchPanel.classList.add('open');
+            this.searchButtons.forEach(button => button.setAttribute('aria-expanded', 'true'));
+            this.lock(panel, this.searchPanel, this.searchPanel.querySelector('.headersearchInput'));
+        }
 
-const updateFocusableElements = () => {
-    focusableElements = navMenu?.querySelectorAll(focusableSelectors);
-    firstFocusableElement = focusableElements?.[0];
-    lastFocusableElement = focusableElements?.[focusableElements.length - 1];
-};
+        this.emit('open', {panel});
+    }
 
-const handleTabKey = (event) => {
-    if (event.key !== "Tab") return;
+    /**
+     * @param {'navigation'|'search'} [panel] - closes every open panel when omitted
+     */
+    close(panel) {
+        if (!panel) {
+            PANELS.forEach(name => this.close(name));
+            return;
+        }
+        if (!this.isOpen(panel)) {
+            return;
+        }
 
-    updateFocusableElements();
-    const activeElement = document.activeElement;
-    const activeSecondLevel = document.querySelector('.second-level.active');
+        if (panel === 'navigation') {
+            this.navigation.querySelectorAll('.second-level.active').forEach(level => {
+                this.toggleNavigationLevel(level, {returnFocus: false});
+            });
+            this.hamburger?.classList.remove('active');
+            this.hamburger?.setAttribute('aria-expanded', 'false');
+            this.navigation.classList.remove('active');
+            this.navigation.setAttribute('aria-hidden', 'true');
+            this.unlock(panel, this.hamburger);
+        } else {
+            this.searchPanel.classList.remove('open');
+            this.searchButtons.forEach(button => button.setAttribute('aria-expanded', 'false'));
+            this.unlock(panel, this.lastSearchButton && isVisible(this.lastSearchButton)
+                ? this.lastSearchButton
+                : this.searchButtons.find(isVisible));
+        }
 
-    if (activeSecondLevel) {
-        const secondLevelElements = activeSecondLevel.querySelectorAll(focusableSelectors);
-        const lastSecondLevelItem = secondLevelElements[secondLevelElements.length - 1];
-        const backButton = activeSecondLevel.querySelector('.back__menu');
+        this.emit('close', {panel});
+    }
 
-        if (!event.shiftKey && activeElement === lastSecondLevelItem && backButton) {
-            event.preventDefault();
-            backButton.focus();
-            return;
-        }
+    /**
+     * Traps focus in `containers`, locks page scrolling and keeps the header
+     * in view for an open panel
+     */
+    lock(panel, containers, initialFocus) {
+        const trap = focusTrap(containers, {initialFocus: initialFocus || undefined});
+        const unlockScroll = scrollLock();
+        this.sticky?.pause();
+        this.releases[panel] = ({returnFocus}) => {
+            trap.release({returnFocus});
+            unlockScroll();
+        };
     }
 
-    requestAnimationFrame(() => {
-        if (!event.shiftKey && activeElement === lastFocusableElement) {
-            event.preventDefault();
-            hamburger?.focus();
-        } else if (event.shiftKey && activeElement === hamburger) {
-            event.preventDefault();
-            lastFocusableElement?.focus();
+    unlock(panel, returnFocus = false) {
+        this.releases[panel]?.({returnFocus: returnFocus || false});
+        delete this.releases[panel];
+        if (!Object.keys(this.releases).length) {
+            this.sticky?.resume();
         }
-    });
-};
-
-const closeOnEscape = (event) => {
-    if (event.key === "Escape") {
-        navMenu?.classList.remove("active");
-        hamburger?.classList.remove("active");
-        hamburger?.setAttribute("aria-expanded", "false");
-        navMenu?.setAttribute('aria-hidden', 'true');
-        document.removeEventListener("keydown", handleTabKey);
-        document.removeEventListener("keydown", closeOnEscape);
-        hamburger?.focus();
     }
-};
 
-// Main hamburger functionality
+    initSearch() {
+        if (!this.searchPanel) return;
 
-hamburger?.addEventListener("click", () => {
-    // Close external elements
-    document.querySelector("[data-lp-point='close']")?.click();
-    document.querySelector('.LPMslider [aria-expanded="true"]')?.click();
+        this.searchButtons.forEach(button => {
+            button.setAttribute('aria-controls', this.searchPanel.id);
+            button.setAttribute('aria-expanded', String(this.isOpen('search')));
+            this.on(button, 'click', () => {
+                this.lastSearchButton = button;
+                this.isOpen('search') ? this.close('search') : this.open('search');
+            });
+        });
 
-    // Toggle menu
-    hamburger.classList.toggle("active");
-    navMenu.classList.toggle("active");
+        const closeButton = this.searchPanel.querySelector('.close-panel');
+        if (closeButton) {
+            this.on(closeButton, 'click', () => this.close('search'));
+        }
 
-    const menuOpen = navMenu.classList.contains("active");
-    hamburger.setAttribute("aria-expanded", menuOpen);
-    navMenu.setAttribute('aria-hidden', !menuOpen);
+        // Escape closes an open suggestion list first (the typeahead stops its propagation)
+        this.on(this.searchPanel, 'keydown', e => {
+            if (e.key === 'Escape') {
+                this.close('search');
+            }
+        });
 
-    if (menuOpen) {
-        updateFocusableElements();
-        firstFocusableElement?.focus();
-        document.addEventListener("keydown", handleTabKey);
-        document.addEventListener("keydown", closeOnEscape);
-    } else {
-        document.removeEventListener("keydown", handleTabKey);
-        document.removeEventListener("keydown", closeOnEscape);
-        hamburger.focus();
+        const input = this.searchPanel.querySelector('.headersearchInput');
+        if (input) {
+            this.typeahead = new Typeahead(input, {endpoint: input.dataset.suggestUrl});
+        }
     }
-});
 
-// Dropdown toggles
-document.querySelectorAll('.menu-nav-mobile .dropdown-toggle').forEach(element => {
-    element.addEventListener('click', () => {
-        element.parentElement.querySelector('.first-level a')?.focus();
-    });
-});
+    initSticky() {
+        const {sticky, stickyThreshold} = this.element.dataset;
+        this.sticky = stickyHeader(this.element, {
+            mode: sticky || undefined,
+            threshold: stickyThreshold ? Number(stickyThreshold) : undefined
+        });
+    }
 
-// Level sliding
-document.querySelectorAll(".menu-nav-mobile [data-level-id]").forEach(attr => {
-    attr.addEventListener("click", (e) => {
-        const levelId = e.target.dataset.levelId;
-        const slidNav = document.querySelector(levelId);
-        if (!slidNav) return;
+    // Mobile menu
 
-        if (slidNav.classList.contains('active') && e.target.classList.contains('back__menu')) {
-            slidNav.parentElement.querySelector(`.first-level [data-level-id="${levelId}"]`)?.focus();
+    initNavigation() {
+        if (!this.navigation) return;
+
+        if (this.hamburger) {
+            this.hamburger.setAttribute('aria-controls', this.ensureId(this.navigation, 'navigation'));
+            this.on(this.hamburger, 'click', () => {
+                this.isOpen('navigation') ? this.close('navigation') : this.open('navigation');
+            });
         }
 
-        slidNav.classList.toggle("active");
-        slidNav.querySelector('a:not(.back__menu)')?.focus();
-    });
-});
+        this.on(document, 'keydown', e => {
+            if (e.key === 'Escape' && this.isOpen('navigation')) {
+                this.close('navigation');
+            }
+        });
 
+        // Dropdown toggles move focus into the first level once Bootstrap has shown it
+        this.on(this.navigation, 'shown.bs.dropdown', e => {
+            e.target.parentElement?.querySelector('.first-level a')?.focus();
+        });
 
-// Mega Menu V2
+        // Level sliding: openers and Back links name their level's id in data-level-id
+        this.navigation.querySelectorAll('[data-level-id]').forEach(trigger => {
+            const panel = document.getElementById(trigger.dataset.levelId);
+            if (!panel) return;
 
-const elements = {
-    level1Items: document.querySelectorAll(".megamenu--v2--level1 li a.trigger-level2"),
-    level2Containers: document.querySelectorAll(".megamenu--v2--level2 div"),
-    level2Items: document.querySelectorAll(".megamenu--v2--level2 a.trigger-submenu"),
-    level3Containers: document.querySelectorAll(".megamenu--v2--level3 div"),
-    content2: document.querySelector(".megamenu--v2--content2")
-};
+            if (!trigger.classList.contains('back__menu')) {
+                trigger.setAttribute('aria-expanded', String(panel.classList.contains('active')));
+            }
+            this.on(trigger, 'click', e => {
+                e.preventDefault();
+                this.toggleNavigationLevel(panel);
+            });
+        });
+    }
 
-// Helper function to clear level states
-const clearLevelStates = () => {
-    document.querySelectorAll(".megamenu--v2--level2 li").forEach(li => li.classList.remove("active"));
-    elements.level3Containers.forEach(container => container.classList.remove("active"));
-    elements.content2?.classList.remove("show");
-};
+    /**
+     * Slides a mobile menu level in or out. An open level traps focus (its
+     * Back link included) until it closes, then focus returns to its opener.
+     */
+    toggleNavigationLevel(panel, {returnFocus = true} = {}) {
+        const isOpen = panel.classList.toggle('active');
+        const opener = this.navigation.querySelector(`[data-level-id="${panel.id}"]:not(.back__menu)`);
+        opener?.setAttribute('aria-expanded', String(isOpen));
+
+        if (isOpen) {
+            this.levelTraps.set(panel, focusTrap(panel, {initialFocus: panel.querySelector('a:not(.back__menu)') || undefined}));
+        } else {
+            this.levelTraps.get(panel)?.release({returnFocus: returnFocus && opener});
+            this.levelTraps.delete(panel);
+        }
+    }
 
-// Helper function to update active states
-const updateActiveStates = (selector, targetId) => {
-    document.querySelectorAll(selector).forEach(li => {
-        const href = li.querySelector("a")?.getAttribute("href")?.replace("#", "");
-        li.classList.toggle("active", href === targetId);
-    });
-};
+    // Mega Menu V2
+
+    initMegamenu() {
+        if (!this.megamenu) return;
 
-// Level 1 Navigation
-elements.level1Items.forEach(item => {
-    item.addEventListener("click", function (e) {
-        e.preventDefault();
-        const targetId = this.getAttribute("href").replace("#", "");
+        [2, 3].forEach(level => {
+            this.megamenu.querySelectorAll(`a.${LEVEL_TRIGGERS[level]}`).forEach(trigger => {
+                const panel = controlledPanel(trigger);
+                trigger.setAttribute('aria-expanded', String(Boolean(panel?.classList.contains('active'))));
 
-        updateActiveStates(".megamenu--v2--level1 li", targetId);
-        elements.level2Containers.forEach(container => {
-            container.classList.toggle("active", container.getAttribute("data-id") === targetId);
+                this.on(trigger, 'click', e => {
+                    e.preventDefault();
+                    if (panel) {
+                        this.goToLevel(level, panel.dataset.id, {focus: true});
+                    }
+                });
+            });
         });
-        clearLevelStates();
-        document.querySelector(`.megamenu--v2--level2 div[data-id="${targetId}"] a`)?.focus();
-    });
-});
 
-// Level 2 Navigation
-elements.level2Items.forEach(item => {
-    item.addEventListener("click", function (e) {
-        e.preventDefault();
-        const targetId = this.getAttribute("href").replace("#", "");
+        this.on(this.megamenu, 'keydown', e => this.handleMegamenuKeydown(e));
+    }
+
+    levelPanel(level, id) {
+        return Array.from(this.megamenu?.querySelectorAll(`${LEVELS[level]} > [data-id]`) ?? [])
+            .find(panel => panel.dataset.id === id) || null;
+    }
 
-        updateActiveStates(".megamenu--v2--level2 li", targetId);
-        elements.level3Containers.forEach(container => container.classList.remove("active"));
-        elements.content2?.classList.remove("show");
+    levelTrigger(level, id) {
+        const panel = this.levelPanel(level, id);
+        return panel && this.megamenu.querySelector(`a.${LEVEL_TRIGGERS[level]}[aria-controls="${panel.id}"]`);
+    }
 
-        elements.level3Containers.forEach(container => {
-            if (container.getAttribute("data-id") === targetId) {
-                container.classList.add("active");
-            }
-        });
+    /**
+     * Shows the level 2 or level 3 panel with `data-id` `id` in the Mega Menu V2,
+     * as clicking its trigger does. Opening level 2 closes level 3.
+     *
+     * @param {2|3} level
+     * @param {string} id
+     * @param {{focus?: boolean}} [options] - move focus to the panel's first link
+     */
+    goToLevel(level, id, {focus = false} = {}) {
+        if (!LEVEL_TRIGGERS[level]) {
+            throw new Error(`Unknown mega menu level ${level}, expected 2 or 3`);
+        }
+        const panel = this.levelPanel(level, id);
+        if (!panel) return;
 
-        const hasActiveLevel3 = [...elements.level3Containers].some(div => div.classList.contains("active"));
-        elements.content2?.classList.toggle("show", hasActiveLevel3);
-        document.querySelector(`.megamenu--v2--level3 div[data-id="${targetId}"] a`)?.focus();
-    });
-});
+        const triggerList = LEVELS[level - 1];
+        this.megamenu.querySelectorAll(`${triggerList} li`).forEach(item => {
+            const trigger = item.querySelector(`a.${LEVEL_TRIGGERS[level]}`);
+            item.classList.toggle('active', trigger?.getAttribute('aria-controls') === panel.id);
+        });
+        this.megamenu.querySelectorAll(`a.${LEVEL_TRIGGERS[level]}`).forEach(trigger => {
+            trigger.setAttribute('aria-expanded', String(trigger.getAttribute('aria-controls') === panel.id));
+        });
+        this.megamenu.querySelectorAll(`${LEVELS[level]} > [data-id]`).forEach(item => {
+            item.classList.toggle('active', item === panel);
+        });
 
-// Tab Navigation
-document.addEventListener("keydown", (e) => {
-    if (e.key !== "Tab") return;
+        if (level === 2) {
+            // a new level 2 panel starts with level 3 closed
+            this.megamenu.querySelectorAll(`${LEVELS[2]} li`).forEach(item => item.classList.remove('active'));
+            this.megamenu.querySelectorAll(`a.${LEVEL_TRIGGERS[3]}`).forEach(trigger => trigger.setAttribute('aria-expanded', 'false'));
+            this.megamenu.querySelectorAll(`${LEVELS[3]} > [data-id]`).forEach(item => item.classList.remove('active'));
+        }
+        this.megamenu.querySelector('.megamenu--v2--content2')?.classList.toggle('show', level === 3);
 
-    const activeLevel2 = document.querySelector(".megamenu--v2--level2 div.active");
-    if (activeLevel2) {
-        const id = activeLevel2.getAttribute('data-id');
-        const level2Links = activeLevel2.querySelectorAll("a");
-        if (level2Links.length && document.activeElement === level2Links[level2Links.length - 1]) {
-            e.preventDefault();
-            document.querySelector(`a[href='#${id}']`)?.focus();
+        if (focus) {
+            panel.querySelector('a')?.focus();
         }
+        this.emit('level', {level, id});
     }
 
-    const activeLevel3 = document.querySelector(".megamenu--v2--level3 div.active");
-    if (activeLevel3) {
-        const id = activeLevel3.getAttribute('data-id');
-        const level3Links = activeLevel3.querySelectorAll("a");
-        if (level3Links.length && document.activeElement === level3Links[level3Links.length - 1]) {
+    /**
+     * Arrow keys move within a level (Up/Down, Home/End) and across levels
+     * (Right opens the focused link's panel, Left returns to its trigger).
+     * Tab from a panel's last link returns to its trigger; Escape is left to
+     * Bootstrap, which closes the dropdown and focuses its toggle.
+     */
+    handleMegamenuKeydown(e) {
+        const link = e.target.closest('a');
+        const column = link?.closest(Object.values(LEVELS).join(', '));
+        if (!column) return;
+
+        const level = Number(Object.keys(LEVELS).find(key => column.matches(LEVELS[key])));
+        const list = level === 1 ? column.querySelector('ul') : link.closest('[data-id]');
+        const links = Array.from(list?.querySelectorAll('a') ?? []).filter(isVisible);
+        const index = links.indexOf(link);
+        const parentTrigger = level > 1 ? this.levelTrigger(level, link.closest('[data-id]')?.dataset.id) : null;
+        const opens = Object.keys(LEVEL_TRIGGERS).find(key => link.classList.contains(LEVEL_TRIGGERS[key]));
+
+        let handled = true;
+        switch (e.key) {
+            case 'ArrowDown':
+                links[(index + 1) % links.length]?.focus();
+                break;
+            case 'ArrowUp':
+                links[(index - 1 + links.length) % links.length]?.focus();
+                break;
+            case 'Home':
+                links[0]?.focus();
+                break;
+            case 'End':
+                links[links.length - 1]?.focus();
+                break;
+            case 'ArrowRight':
+                if (opens && controlledPanel(link)) {
+                    this.goToLevel(Number(opens), controlledPanel(link).dataset.id, {focus: true});
+                }
+                break;
+            case 'ArrowLeft':
+                parentTrigger?.focus();
+                break;
+            case 'Tab':
+                handled = !e.shiftKey && Boolean(parentTrigger) && index === links.length - 1;
+                if (handled) {
+                    parentTrigger.focus();
+                }
+                break;
+            default:
+                handled = false;
+        }
+
+        if (handled) {
             e.preventDefault();
-            document.querySelector(`a[href='#${id}']`)?.focus();
+            // keeps Bootstrap's dropdown keyboard handler from acting on the same key
+            e.stopPropagation();
         }
     }
+
+    destroy() {
+        this.levelTraps.forEach(trap => trap.release({returnFocus: false}));
+        this.levelTraps.clear();
+        Object.keys(this.releases).forEach(panel => this.unlock(panel));
+        this.typeahead?.destroy();
+        this.typeahead = null;
+        this.sticky?.destroy();
+        this.sticky = null;
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        instances.delete(this.element);
+    }
+}
+
+defineComponent('Header', {
+    selector: '[data-component="Header"]',
+    mount(element) {
+        const header = new Header(element);
+        return () => header.destroy();
+    }
 });
 
 // Help Center Active Link
-document.querySelectorAll('.help-center-page-content__list li[role="listitem"] a').forEach(link => {
-    link.classList.toggle('active', link.getAttribute('href') === window.location.pathname);
+defineComponent('HelpCenterNav', {
+    selector: '.help-center-page-content__list',
+    mount(list) {
+        list.querySelectorAll('li[role="listitem"] a').forEach(link => {
+            link.classList.toggle('active', link.getAttribute('href') === window.location.pathname);
+        });
+    }
 });
 
-// Initialize when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {});
-} else {
-    
+if (import.meta.hot) {
+    import.meta.hot.accept();
 }
 
+export {Header};
@@ -1,10 +1,17 @@
 import './hero.scss';
-import init from '@js/shared/initialization';
+import {defineComponent} from '@js/shared/initialization';
 
 /**
  * Hero Component
  * Auto-generated from Figma
  */
-init(document.querySelectorAll('.hero'), wrapper => {
-    // Hero initialization logic
+defineComponent('Hero', {
+    selector: '.hero',
+    mount(wrapper) {
+        // Hero initialization logic
+    }
 });
+
+if (import.meta.hot) {
+    import.meta.hot.accept();
+}
@@ -1,10 +1,17 @@
 import './hero-banner.scss';
-import init from '@js/shared/initialization';
+import {defineComponent} from '@js/shared/initialization';
 
 /**
  * Hero Banner Component
  * Auto-generated from Figma
  */
-init(document.querySelectorAll('.hero-banner'), wrapper => {
-    // Hero Banner initialization logic
+defineComponent('Hero_Banner', {
+    selector: '.hero-banner',
+    mount(wrapper) {
+        // Hero Banner initialization logic
+    }
 });
+
+if (import.meta.hot) {
+    import.meta.hot.accept();
+}
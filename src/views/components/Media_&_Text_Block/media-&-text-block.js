@@ -1,10 +1,17 @@
 import './media-&-text-block.scss';
-import init from '@js/shared/initialization';
+import {defineComponent} from '@js/shared/initialization';
 
 /**
  * Media & Text Block Component
  * Auto-generated from Figma
  */
-init(document.querySelectorAll('.media-&-text-block'), wrapper => {
-    // Media & Text Block initialization logic
+defineComponent('Media_&_Text_Block', {
+    selector: '.media-\\&-text-block',
+    mount(wrapper) {
+        // Media & Text Block initialization logic
+    }
 });
+
+if (import.meta.hot) {
+    import.meta.hot.accept();
+}
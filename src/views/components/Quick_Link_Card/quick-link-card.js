@@ -1,10 +1,17 @@
 import './quick-link-card.scss';
-import init from '@js/shared/initialization';
+import {defineComponent} from '@js/shared/initialization';
 
 /**
  * Quick Link Card Component
  * Auto-generated from Figma
  */
-init(document.querySelectorAll('.quick-link-card'), wrapper => {
-    // Quick Link Card initialization logic
+defineComponent('Quick_Link_Card', {
+    selector: '.quick-link-card',
+    mount(wrapper) {
+        // Quick Link Card initialization logic
+    }
 });
+
+if (import.meta.hot) {
+    import.meta.hot.accept();
+}
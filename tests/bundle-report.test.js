@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { analyzeBundle } from '../scripts/bundle-report.js'
+import { bundleReportPlugin } from '../vite-plugins.js'
+
+const modules = sizes => Object.fromEntries(Object.entries(sizes).map(([file, renderedLength]) =>
+  [path.resolve(file), { renderedLength }]))
+
+const chunk = (fileName, { isEntry = false, name, facade, imports = [], sizes = {}, css = [] } = {}) => ({
+  type: 'chunk',
+  fileName,
+  name,
+  isEntry,
+  facadeModuleId: facade && path.resolve(facade),
+  imports,
+  modules: modules(sizes),
+  code: 'x'.repeat(Object.values(sizes).reduce((total, size) => total + size, 0) / 2),
+  viteMetadata: { importedCss: new Set(css) }
+})
+
+const asset = (fileName, source) => ({ type: 'asset', fileName, names: [path.basename(fileName)], source })
+
+// Two entries sharing a chunk (with its own CSS) that imports a vendor chunk, a module Rollup
+// emitted into both entry chunks, lodash bundled from two locations, and an
+// entry whose empty JS chunk was removed
+const bundle = () => Object.fromEntries([
+  chunk('js/home.js', {
+    isEntry: true,
+    name: 'home',
+    facade: 'src/js/home.js',
+    imports: ['js/shared.js'],
+    sizes: { 'src/js/home.js': 100, 'src/js/util.js': 20, 'node_modules/lodash/debounce.js': 50 },
+    css: ['css/home.css']
+  }),
+  chunk('js/media.js', {
+    isEntry: true,
+    name: 'Media___Text',
+    facade: 'src/views/components/Media_&_Text/media.js',
+    imports: ['js/shared.js', 'js/vendor.js'],
+    sizes: { 'src/views/components/Media_&_Text/media.js': 80, 'src/js/util.js': 20, 'node_modules/swiper/node_modules/lodash/throttle.js': 30 }
+  }),
+  chunk('js/shared.js', {
+    imports: ['js/vendor.js'],
+    sizes: { 'src/js/shared/helpers.js': 40, 'src/js/shared/unused.js': 0 },
+    css: ['css/shared.css']
+  }),
+  chunk('js/vendor.js', { sizes: { 'node_modules/swiper/swiper.mjs': 300 } }),
+  asset('css/home.css', '.home{}'),
+  asset('css/shared.css', '.shared{}'),
+  asset('css/theme.css', ':root{--a:1}')
+].map(output => [output.fileName, output]))
+
+const input = {
+  home: 'src/js/home.js',
+  'Media_&_Text': 'src/views/components/Media_&_Text/media.js',
+  theme: 'src/scss/theme.scss'
+}
+
+describe('bundleReportPlugin', () => {
+  let dir
+  let report
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-report-'))
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+
+    const plugin = bundleReportPlugin({ output: path.join(dir, 'report') })
+    plugin.buildStart({ input })
+    plugin.generateBundle({}, bundle())
+    report = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8'))
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('names entries after their input key and lists their files', () => {
+    expect(Object.keys(report.entries)).toEqual(['home', 'Media_&_Text', 'theme'])
+    expect(report.entries.home).toMatchObject({
+      js: 'js/home.js',
+      chunks: ['js/shared.js', 'js/vendor.js'],
+      css: [{ file: 'css/home.css', bytes: 7 }, { file: 'css/shared.css', bytes: 9 }]
+    })
+    expect(report.entries['Media_&_Text'].chunks).toEqual(['js/shared.js', 'js/vendor.js'])
+  })
+
+  it('finds CSS-only entries through their CSS asset', () => {
+    expect(report.entries.shared).toBeUndefined()
+    expect(report.entries.theme).toMatchObject({ js: null, chunks: [], bytes: 0, css: [{ file: 'css/theme.css', bytes: 12 }] })
+  })
+
+  it('splits entry modules into packages and source', () => {
+    const { home } = report.entries
+
+    expect(home.bytes).toBe(100 + 20 + 50 + 40 + 300)
+    expect(home.outputBytes).toBe((170 + 40 + 300) / 2)
+    expect(home.packages).toEqual([
+      { name: 'swiper', bytes: 300, modules: ['swiper/swiper.mjs'] },
+      { name: 'lodash', bytes: 50, modules: ['lodash/debounce.js'] }
+    ])
+    expect(home.source.map(item => item.module)).toEqual(['src/js/home.js', 'src/js/shared/helpers.js', 'src/js/util.js'])
+  })
+
+  it('lists shared chunks with the entries importing them', () => {
+    expect(report.sharedChunks).toEqual({
+      'js/shared.js': { bytes: 40, outputBytes: 20, modules: ['src/js/shared/helpers.js'], entries: ['home', 'Media_&_Text'] },
+      'js/vendor.js': { bytes: 300, outputBytes: 150, modules: ['node_modules/swiper/swiper.mjs'], entries: ['home', 'Media_&_Text'] }
+    })
+  })
+
+  it('lists modules shared by several entries', () => {
+    expect(report.sharedModules).toEqual([
+      { module: 'node_modules/swiper/swiper.mjs', entries: ['Media_&_Text', 'home'] },
+      { module: 'src/js/shared/helpers.js', entries: ['Media_&_Text', 'home'] },
+      { module: 'src/js/util.js', entries: ['Media_&_Text', 'home'] }
+    ])
+  })
+
+  it('reports modules emitted into several chunks and packages bundled twice', () => {
+    expect(report.duplicates.modules).toEqual([{ module: 'src/js/util.js', chunks: ['js/home.js', 'js/media.js'] }])
+    expect(report.duplicates.packages).toEqual([
+      { package: 'lodash', paths: ['node_modules/lodash', 'node_modules/swiper/node_modules/lodash'] }
+    ])
+  })
+
+  it('writes the HTML report next to the JSON', () => {
+    const html = fs.readFileSync(path.join(dir, 'report.html'), 'utf8')
+
+    expect(html).toContain('Media_&amp;_Text')
+    expect(html).toContain('src/js/util.js')
+  })
+})
+
+describe('analyzeBundle', () => {
+  it('follows only the files it is given', () => {
+    const report = analyzeBundle(bundle(), {
+      home: { js: 'js/home.js', css: [], imports: [] },
+      media: { js: 'js/media.js', css: [], imports: ['js/missing.js'] }
+    })
+
+    expect(report.sharedChunks['js/missing.js']).toEqual({ bytes: 0, outputBytes: 0, modules: [], entries: ['media'] })
+    expect(report.sharedModules).toEqual([{ module: 'src/js/util.js', entries: ['home', 'media'] }])
+    expect(report.duplicates.modules).toEqual([{ module: 'src/js/util.js', chunks: ['js/home.js', 'js/media.js'] }])
+  })
+})
@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest'
+import { focusTrap, getFocusable } from '../src/js/shared/focus-trap.js'
+
+const tab = (shiftKey = false) => {
+  const event = new KeyboardEvent('keydown', { key: 'Tab', shiftKey, bubbles: true, cancelable: true })
+  document.activeElement.dispatchEvent(event)
+  return event
+}
+
+describe('focusTrap', () => {
+  let getClientRects
+  let traps = []
+  const trap = (...args) => {
+    const created = focusTrap(...args)
+    traps.push(created)
+    return created
+  }
+
+  beforeAll(() => {
+    // jsdom lays nothing out; elements without the `hidden` attribute count as visible
+    getClientRects = Element.prototype.getClientRects
+    Element.prototype.getClientRects = function () {
+      return this.closest('[hidden]') ? [] : [{}]
+    }
+  })
+
+  afterAll(() => {
+    Element.prototype.getClientRects = getClientRects
+  })
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <button id="outside">Outside</button>
+      <div id="dialog">
+        <a id="first" href="#">First</a>
+        <button id="disabled" disabled>Disabled</button>
+        <span id="hidden" hidden><button>Hidden</button></span>
+        <input id="last">
+      </div>
+      <div id="inner"><button id="inner-button">Inner</button></div>
+      <div id="empty"><p>Nothing to focus</p></div>`
+    document.getElementById('outside').focus()
+  })
+
+  afterEach(() => {
+    traps.forEach(created => created.release({ returnFocus: false }))
+    traps = []
+  })
+
+  it('lists the visible, enabled focusable elements in document order', () => {
+    expect(getFocusable(document.getElementById('dialog')).map(element => element.id)).toEqual(['first', 'last'])
+  })
+
+  it('focuses the first focusable element and cycles Tab and Shift+Tab inside', () => {
+    trap(document.getElementById('dialog'))
+    expect(document.activeElement.id).toBe('first')
+
+    expect(tab().defaultPrevented).toBe(true)
+    expect(document.activeElement.id).toBe('last')
+
+    tab()
+    expect(document.activeElement.id).toBe('first')
+
+    tab(true)
+    expect(document.activeElement.id).toBe('last')
+  })
+
+  it('focuses initialFocus, or nothing with initialFocus false', () => {
+    const created = trap(document.getElementById('dialog'), { initialFocus: document.getElementById('last') })
+    expect(document.activeElement.id).toBe('last')
+    created.release()
+
+    trap(document.getElementById('dialog'), { initialFocus: false })
+    expect(document.activeElement.id).toBe('outside')
+  })
+
+  it('pulls focus back when it moves outside', () => {
+    trap(document.getElementById('dialog'))
+
+    document.getElementById('outside').focus()
+    expect(document.activeElement.id).toBe('first')
+  })
+
+  it('focuses the container when it has nothing focusable', () => {
+    const empty = document.getElementById('empty')
+    const created = trap(empty)
+    expect(document.activeElement).toBe(empty)
+    expect(empty.getAttribute('tabindex')).toBe('-1')
+
+    created.release()
+    expect(empty.hasAttribute('tabindex')).toBe(false)
+  })
+
+  it('returns focus on release, to the previous element or the given one', () => {
+    trap(document.getElementById('dialog')).release()
+    expect(document.activeElement.id).toBe('outside')
+
+    trap(document.getElementById('dialog')).release({ returnFocus: document.getElementById('inner-button') })
+    expect(document.activeElement.id).toBe('inner-button')
+  })
+
+  it('traps across several containers', () => {
+    trap([document.getElementById('dialog'), document.getElementById('inner')])
+
+    tab()
+    tab()
+    expect(document.activeElement.id).toBe('inner-button')
+    tab()
+    expect(document.activeElement.id).toBe('first')
+  })
+
+  it('nests traps, re-activating the one below on release', () => {
+    trap(document.getElementById('dialog'))
+    const inner = trap(document.getElementById('inner'))
+    expect(document.activeElement.id).toBe('inner-button')
+
+    tab()
+    expect(document.activeElement.id).toBe('inner-button')
+
+    inner.release()
+    expect(document.activeElement.id).toBe('first')
+    tab()
+    expect(document.activeElement.id).toBe('last')
+  })
+
+  it('stops handling Tab once every trap is released', () => {
+    trap(document.getElementById('dialog')).release()
+
+    expect(tab().defaultPrevented).toBe(false)
+  })
+})
@@ -0,0 +1,87 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { BASIC_LATIN, parseUnicodeRange, formatUnicodeRange, collectContentCodePoints } from '../scripts/font-subset.js'
+
+const LATIN = 'U+0000-00FF, U+0131, U+0152-0153, U+02BB-02BC, U+02C6, U+02DA, U+02DC, U+0304, U+0308, U+0329, U+2000-206F, U+20AC, U+2122, U+2191, U+2193, U+2212, U+2215, U+FEFF, U+FFFD'
+
+describe('font subset', () => {
+  describe('parseUnicodeRange', () => {
+    it('parses ranges and single code points', () => {
+      expect([...parseUnicodeRange('U+0041-0043, U+00E9')]).toEqual([0x41, 0x42, 0x43, 0xe9])
+    })
+
+    it('expands wildcards', () => {
+      const codePoints = parseUnicodeRange('U+02??')
+
+      expect(codePoints.size).toBe(256)
+      expect(codePoints.has(0x200)).toBe(true)
+      expect(codePoints.has(0x2ff)).toBe(true)
+    })
+
+    it('accepts lowercase hex, spaces and a trailing comma', () => {
+      expect([...parseUnicodeRange(' u+00e9 ,U+1F600 ,')]).toEqual([0xe9, 0x1f600])
+    })
+
+    it('merges overlapping ranges', () => {
+      expect(parseUnicodeRange('U+0041-0045, U+0043-0048, U+0044').size).toBe(8)
+    })
+
+    it('throws on invalid input', () => {
+      expect(() => parseUnicodeRange('U+0041, latin')).toThrow('Invalid unicode-range "latin"')
+      expect(() => parseUnicodeRange('0041-0043')).toThrow('Invalid unicode-range "0041-0043"')
+      expect(() => parseUnicodeRange('U+GG')).toThrow('Invalid unicode-range "U+GG"')
+      expect(() => parseUnicodeRange('U+1234567')).toThrow('Invalid unicode-range "U+1234567"')
+    })
+  })
+
+  describe('formatUnicodeRange', () => {
+    it('merges consecutive code points into ranges', () => {
+      expect(formatUnicodeRange([0x43, 0x41, 0x42, 0xe9, 0x1f600])).toBe('U+0041-0043, U+00E9, U+1F600')
+    })
+
+    it('writes single code points without a range', () => {
+      expect(formatUnicodeRange(new Set([0x131]))).toBe('U+0131')
+    })
+
+    it('formats overlapping ranges once', () => {
+      expect(formatUnicodeRange(parseUnicodeRange('U+0041-0045, U+0043-0048, U+0050'))).toBe('U+0041-0048, U+0050')
+    })
+
+    it('is empty without code points', () => {
+      expect(formatUnicodeRange([])).toBe('')
+    })
+
+    it('round-trips with parseUnicodeRange', () => {
+      expect(formatUnicodeRange(parseUnicodeRange(LATIN))).toBe(LATIN)
+      expect(formatUnicodeRange(parseUnicodeRange('U+02??'))).toBe('U+0200-02FF')
+    })
+  })
+
+  describe('collectContentCodePoints', () => {
+    let dir
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('collects the characters of templates and the string values of data files', () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'font-subset-'))
+      fs.writeFileSync(path.join(dir, 'page.njk'), '<p>Café</p>\n')
+      fs.writeFileSync(path.join(dir, 'page.data.json'), JSON.stringify({ title: 'Größe', count: 3 }).replace('ö', '\\u00f6'))
+
+      const codePoints = collectContentCodePoints([`${dir.split(path.sep).join('/')}/*.{njk,json}`])
+      const extra = [...codePoints].filter(codePoint => !parseUnicodeRange(BASIC_LATIN).has(codePoint))
+
+      expect(formatUnicodeRange(extra)).toBe(formatUnicodeRange(['é', 'ö', 'ß'].map(char => char.codePointAt(0))))
+      expect(codePoints.has('\n'.codePointAt(0))).toBe(false)
+    })
+
+    it('always keeps printable ASCII', () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'font-subset-'))
+
+      expect(formatUnicodeRange(collectContentCodePoints([`${dir.split(path.sep).join('/')}/*.njk`]))).toBe(BASIC_LATIN)
+    })
+  })
+})
@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { parseFrontMatter, stripFrontMatter, readPageMeta } from '../scripts/generate-pages.js'
+
+const page = (frontMatter, body = '<h1>Page</h1>') => `${frontMatter}\n${body}`
+
+describe('front-matter', () => {
+  describe('parseFrontMatter', () => {
+    it('reads a Nunjucks comment block', () => {
+      const source = page('{#---\ntitle: Help Center\nstatus: draft\n---#}')
+
+      expect(parseFrontMatter(source)).toEqual({ title: 'Help Center', status: 'draft' })
+    })
+
+    it('reads a bare --- block, with CRLF line endings too', () => {
+      expect(parseFrontMatter(page('---\ntitle: Home\n---'))).toEqual({ title: 'Home' })
+      expect(parseFrontMatter('---\r\ntitle: Home\r\nowner: Web team\r\n---\r\n<h1>Home</h1>'))
+        .toEqual({ title: 'Home', owner: 'Web team' })
+    })
+
+    it('allows whitespace-control dashes and leading blank lines', () => {
+      expect(parseFrontMatter(page('\n{#- ---\ntitle: Home\n--- -#}'))).toEqual({ title: 'Home' })
+    })
+
+    it('parses quoted strings, inline lists and dash lists', () => {
+      const source = page([
+        '{#---',
+        'title: "Plans: compare"',
+        "description: 'Bill pay, prepay'",
+        'tags: [plans, "bill pay", ]',
+        'owner:',
+        '  - Web team',
+        '  - "SEO"',
+        '# a comment',
+        'icon: 📱',
+        '---#}'
+      ].join('\n'))
+
+      expect(parseFrontMatter(source)).toEqual({
+        title: 'Plans: compare',
+        description: 'Bill pay, prepay',
+        tags: ['plans', 'bill pay'],
+        owner: ['Web team', 'SEO'],
+        icon: '📱'
+      })
+    })
+
+    it('returns an empty object without a block at the top', () => {
+      expect(parseFrontMatter('<h1>Page</h1>\n---\ntitle: Late\n---')).toEqual({})
+      expect(parseFrontMatter('{# just a comment #}')).toEqual({})
+    })
+  })
+
+  describe('stripFrontMatter', () => {
+    it('removes the block and keeps the page', () => {
+      expect(stripFrontMatter(page('---\ntitle: Home\n---'))).toBe('<h1>Page</h1>')
+      expect(stripFrontMatter(page('{#---\ntitle: Home\n---#}'))).toBe('\n<h1>Page</h1>')
+    })
+
+    it('leaves pages without front-matter unchanged', () => {
+      expect(stripFrontMatter('<hr>\n---\n')).toBe('<hr>\n---\n')
+    })
+  })
+
+  describe('readPageMeta', () => {
+    let dir
+
+    const write = (source) => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'front-matter-'))
+      const file = path.join(dir, 'page.html')
+      fs.writeFileSync(file, source)
+      return file
+    }
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true })
+      vi.restoreAllMocks()
+    })
+
+    it('keeps the known keys and splits comma-separated tags', () => {
+      const file = write(page('{#---\ntitle: FAQ\ntags: help, faq\nlayout: wide\nowner:\n---#}'))
+
+      expect(readPageMeta(file)).toEqual({ title: 'FAQ', tags: ['help', 'faq'], owner: [] })
+    })
+
+    it('drops an unknown status with a warning', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const file = write(page('---\ntitle: FAQ\nstatus: done\n---'))
+
+      expect(readPageMeta(file)).toEqual({ title: 'FAQ' })
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('unknown status "done"'))
+    })
+  })
+})
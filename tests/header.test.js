@@ -0,0 +1,272 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach, afterEach } from 'vitest'
+import nunjucks from 'nunjucks'
+import { loadTemplateData } from '../scripts/template-data.js'
+import { imageFilters } from '../scripts/image-manifest.js'
+import { mountComponents, unmountComponents } from '../src/js/shared/initialization.js'
+import { Header } from '../src/views/components/Header/_с_header.js'
+
+const TEMPLATE = 'src/views/components/Header/с_header.njk'
+
+const env = new nunjucks.Environment(new nunjucks.FileSystemLoader(process.cwd()))
+Object.entries(imageFilters).forEach(([name, filter]) => env.addFilter(name, filter))
+const markup = env.render(TEMPLATE, loadTemplateData(TEMPLATE))
+
+const key = (target, name, options = {}) => {
+  const event = new KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...options })
+  target.dispatchEvent(event)
+  return event
+}
+
+describe('Header', () => {
+  let element
+  let header
+  let getClientRects
+
+  beforeAll(() => {
+    // jsdom lays nothing out; the header only moves focus to visible elements
+    getClientRects = Element.prototype.getClientRects
+    Element.prototype.getClientRects = () => [{}]
+  })
+
+  afterAll(() => {
+    Element.prototype.getClientRects = getClientRects
+  })
+
+  beforeEach(() => {
+    document.body.innerHTML = markup
+    mountComponents()
+    element = document.querySelector('[data-component="Header"]')
+    header = Header.getInstance(element)
+  })
+
+  afterEach(() => {
+    unmountComponents()
+    document.body.innerHTML = ''
+  })
+
+  it('mounts on the header element and is destroyed on unmount', () => {
+    expect(header).toBeInstanceOf(Header)
+
+    unmountComponents()
+    expect(Header.getInstance(element)).toBeNull()
+    expect(document.querySelector('.search-suggestions')).toBeNull()
+  })
+
+  describe('panels', () => {
+    it('opens and closes the search panel', () => {
+      const events = []
+      element.addEventListener('header:open', e => events.push(['open', e.detail]))
+      element.addEventListener('header:close', e => events.push(['close', e.detail]))
+      const panel = document.getElementById('search-panel')
+      const button = document.getElementById('search-button')
+
+      header.open('search')
+      expect(panel.classList.contains('open')).toBe(true)
+      expect(button.getAttribute('aria-expanded')).toBe('true')
+      expect(document.activeElement).toBe(panel.querySelector('.headersearchInput'))
+      expect(document.documentElement.style.overflow).toBe('hidden')
+
+      header.close('search')
+      expect(panel.classList.contains('open')).toBe(false)
+      expect(button.getAttribute('aria-expanded')).toBe('false')
+      expect(document.activeElement).toBe(button)
+      expect(document.documentElement.style.overflow).toBe('')
+      expect(events).toEqual([['open', { panel: 'search' }], ['close', { panel: 'search' }]])
+    })
+
+    it('toggles the search panel from its buttons and closes it on Escape', () => {
+      const button = document.getElementById('search-button-mobile')
+      button.click()
+      expect(header.isOpen('search')).toBe(true)
+
+      key(document.activeElement, 'Escape')
+      expect(header.isOpen('search')).toBe(false)
+      expect(document.activeElement).toBe(button)
+    })
+
+    it('opens the mobile navigation from the hamburger and closes it on Escape', () => {
+      const hamburger = element.querySelector('.hamburger')
+      const navigation = element.querySelector('.menu-nav-mobile')
+
+      hamburger.click()
+      expect(header.isOpen('navigation')).toBe(true)
+      expect(hamburger.getAttribute('aria-expanded')).toBe('true')
+      expect(hamburger.getAttribute('aria-controls')).toBe(navigation.id)
+      expect(navigation.getAttribute('aria-hidden')).toBe('false')
+
+      key(document, 'Escape')
+      expect(header.isOpen('navigation')).toBe(false)
+      expect(navigation.getAttribute('aria-hidden')).toBe('true')
+      expect(document.activeElement).toBe(hamburger)
+    })
+
+    it('closes every open panel when close() has no argument', () => {
+      header.open('navigation')
+      header.open('search')
+
+      header.close()
+      expect(header.isOpen('navigation')).toBe(false)
+      expect(header.isOpen('search')).toBe(false)
+      expect(document.documentElement.style.overflow).toBe('')
+    })
+
+    it('does not emit events for panels already in the requested state', () => {
+      const listener = vi.fn()
+      element.addEventListener('header:close', listener)
+
+      header.close('search')
+      expect(listener).not.toHaveBeenCalled()
+    })
+
+    it('throws on an unknown panel', () => {
+      expect(() => header.open('cart')).toThrow('Unknown header panel "cart"')
+    })
+  })
+
+  describe('mobile menu levels', () => {
+    it('slides a level in from its opener and out from its Back link', () => {
+      header.open('navigation')
+      const opener = element.querySelector('.menu-nav-mobile [data-level-id]:not(.back__menu)')
+      const level = document.getElementById(opener.dataset.levelId)
+
+      opener.click()
+      expect(level.classList.contains('active')).toBe(true)
+      expect(opener.getAttribute('aria-expanded')).toBe('true')
+      expect(level.contains(document.activeElement)).toBe(true)
+
+      level.querySelector('.back__menu').click()
+      expect(level.classList.contains('active')).toBe(false)
+      expect(opener.getAttribute('aria-expanded')).toBe('false')
+      expect(document.activeElement).toBe(opener)
+    })
+
+    it('closes open levels with the navigation', () => {
+      header.open('navigation')
+      const opener = element.querySelector('.menu-nav-mobile [data-level-id]:not(.back__menu)')
+      opener.click()
+
+      header.close('navigation')
+      expect(document.getElementById(opener.dataset.levelId).classList.contains('active')).toBe(false)
+    })
+  })
+
+  describe('mega menu', () => {
+    const megamenu = () => element.querySelector('.megamenu--v2')
+    const panel = (level, id) => megamenu().querySelector(`.megamenu--v2--level${level} > [data-id="${id}"]`)
+    const trigger = id => megamenu().querySelector(`[aria-controls="nav-${id}"]`)
+
+    it('starts with the first level 2 panel open', () => {
+      expect(panel(2, 'getting-started').classList.contains('active')).toBe(true)
+      expect(trigger('getting-started').getAttribute('aria-expanded')).toBe('true')
+      expect(trigger('managing-your-account').getAttribute('aria-expanded')).toBe('false')
+    })
+
+    it('shows a level 2 panel with goToLevel', () => {
+      const listener = vi.fn()
+      element.addEventListener('header:level', listener)
+
+      header.goToLevel(2, 'managing-your-account')
+      expect(panel(2, 'managing-your-account').classList.contains('active')).toBe(true)
+      expect(panel(2, 'getting-started').classList.contains('active')).toBe(false)
+      expect(trigger('managing-your-account').getAttribute('aria-expanded')).toBe('true')
+      expect(trigger('managing-your-account').parentElement.classList.contains('active')).toBe(true)
+      expect(trigger('getting-started').getAttribute('aria-expanded')).toBe('false')
+      expect(listener.mock.calls[0][0].detail).toEqual({ level: 2, id: 'managing-your-account' })
+    })
+
+    it('shows a level 3 panel and closes it when another level 2 panel opens', () => {
+      const id = 'getting-started-switching-to-tesco-mobile'
+
+      header.goToLevel(3, id)
+      expect(panel(3, id).classList.contains('active')).toBe(true)
+      expect(trigger(id).getAttribute('aria-expanded')).toBe('true')
+      expect(megamenu().querySelector('.megamenu--v2--content2').classList.contains('show')).toBe(true)
+
+      header.goToLevel(2, 'managing-your-account')
+      expect(panel(3, id).classList.contains('active')).toBe(false)
+      expect(trigger(id).getAttribute('aria-expanded')).toBe('false')
+      expect(megamenu().querySelector('.megamenu--v2--content2').classList.contains('show')).toBe(false)
+    })
+
+    it('ignores unknown ids and throws on unknown levels', () => {
+      const listener = vi.fn()
+      element.addEventListener('header:level', listener)
+
+      header.goToLevel(2, 'nope')
+      expect(listener).not.toHaveBeenCalled()
+      expect(() => header.goToLevel(4, 'getting-started')).toThrow('Unknown mega menu level 4')
+    })
+
+    it('opens a panel and focuses its first link when its trigger is clicked', () => {
+      trigger('everything-else').click()
+
+      expect(panel(2, 'everything-else').classList.contains('active')).toBe(true)
+      expect(document.activeElement).toBe(panel(2, 'everything-else').querySelector('a'))
+    })
+
+    describe('keyboard', () => {
+      const levelOneLinks = () => Array.from(megamenu().querySelectorAll('.megamenu--v2--level1 ul a'))
+
+      it('moves through a level with the arrow keys, Home and End', () => {
+        const links = levelOneLinks()
+        links[0].focus()
+
+        expect(key(links[0], 'ArrowDown').defaultPrevented).toBe(true)
+        expect(document.activeElement).toBe(links[1])
+
+        key(links[1], 'ArrowUp')
+        expect(document.activeElement).toBe(links[0])
+
+        key(links[0], 'ArrowUp')
+        expect(document.activeElement).toBe(links[links.length - 1])
+
+        key(document.activeElement, 'Home')
+        expect(document.activeElement).toBe(links[0])
+
+        key(document.activeElement, 'End')
+        expect(document.activeElement).toBe(links[links.length - 1])
+      })
+
+      it('opens the next level with ArrowRight and returns with ArrowLeft', () => {
+        const levelTwo = trigger('managing-your-account')
+        levelTwo.focus()
+
+        key(levelTwo, 'ArrowRight')
+        expect(panel(2, 'managing-your-account').classList.contains('active')).toBe(true)
+        expect(document.activeElement).toBe(panel(2, 'managing-your-account').querySelector('a'))
+
+        const levelThree = panel(2, 'managing-your-account').querySelector('a.trigger-submenu')
+        levelThree.focus()
+        key(levelThree, 'ArrowRight')
+        const levelThreePanel = document.getElementById(levelThree.getAttribute('aria-controls'))
+        expect(levelThreePanel.classList.contains('active')).toBe(true)
+        expect(document.activeElement).toBe(levelThreePanel.querySelector('a'))
+
+        key(document.activeElement, 'ArrowLeft')
+        expect(document.activeElement).toBe(levelThree)
+
+        key(levelThree, 'ArrowLeft')
+        expect(document.activeElement).toBe(levelTwo)
+      })
+
+      it('returns to the trigger on Tab from the last link of a panel', () => {
+        const links = Array.from(panel(2, 'getting-started').querySelectorAll('a'))
+        links[links.length - 1].focus()
+
+        expect(key(links[links.length - 1], 'Tab').defaultPrevented).toBe(true)
+        expect(document.activeElement).toBe(trigger('getting-started'))
+
+        links[0].focus()
+        expect(key(links[0], 'Tab').defaultPrevented).toBe(false)
+        expect(key(links[0], 'Tab', { shiftKey: true }).defaultPrevented).toBe(false)
+      })
+
+      it('leaves Escape to the dropdown', () => {
+        const links = levelOneLinks()
+        links[0].focus()
+
+        expect(key(links[0], 'Escape').defaultPrevented).toBe(false)
+      })
+    })
+  })
+})
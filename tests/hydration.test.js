@@ -0,0 +1,75 @@
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest'
+import hydrate from '../src/js/shared/hydration.js'
+
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve)))
+
+describe('hydrate', () => {
+  let stop = () => {}
+
+  beforeAll(() => {
+    // jsdom has no CSS.escape
+    globalThis.CSS ??= { escape: value => value }
+  })
+
+  afterEach(() => {
+    stop()
+    document.body.innerHTML = ''
+  })
+
+  it('imports modules whose root is on the page', () => {
+    document.body.innerHTML = '<section class="hero"></section><div data-component="Header"></div>'
+    const hero = vi.fn(() => Promise.resolve())
+    const header = vi.fn(() => Promise.resolve())
+    const divider = vi.fn(() => Promise.resolve())
+
+    stop = hydrate({
+      '../views/components/Hero/hero.js': hero,
+      '../views/components/Header/_с_header.js': header,
+      '../views/components/Divider/divider.js': divider
+    })
+
+    expect(hero).toHaveBeenCalledTimes(1)
+    expect(header).toHaveBeenCalledTimes(1)
+    expect(divider).not.toHaveBeenCalled()
+  })
+
+  it('waits for the first interaction with data-hydrate="interaction"', () => {
+    document.body.innerHTML = '<section class="hero" data-hydrate="interaction"></section>'
+    const hero = vi.fn(() => Promise.resolve())
+
+    stop = hydrate({ '../views/components/Hero/hero.js': hero })
+    expect(hero).not.toHaveBeenCalled()
+
+    document.querySelector('.hero').dispatchEvent(new Event('focusin'))
+    expect(hero).toHaveBeenCalledTimes(1)
+  })
+
+  it('ignores roots added later unless observing', async () => {
+    const hero = vi.fn(() => Promise.resolve())
+    stop = hydrate({ '../views/components/Hero/hero.js': hero })
+
+    document.body.insertAdjacentHTML('beforeend', '<section class="hero"></section>')
+    await nextFrame()
+    expect(hero).not.toHaveBeenCalled()
+  })
+
+  it('imports modules for roots in injected markup with observe', async () => {
+    const hero = vi.fn(() => Promise.resolve())
+    const divider = vi.fn(() => Promise.resolve())
+    stop = hydrate({
+      '../views/components/Hero/hero.js': hero,
+      '../views/components/Divider/divider.js': divider
+    }, { observe: true })
+
+    const partial = document.createElement('div')
+    partial.innerHTML = '<section class="hero"></section>'
+    document.body.append(partial)
+    await nextFrame()
+    expect(hero).toHaveBeenCalledTimes(1)
+    expect(divider).not.toHaveBeenCalled()
+
+    document.body.append(partial.cloneNode(true))
+    await nextFrame()
+    expect(hero).toHaveBeenCalledTimes(1)
+  })
+})
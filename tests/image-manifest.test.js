@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import nunjucks from 'nunjucks'
+import { IMAGE_MANIFEST_FILE, imageInfo, imageSrcset, imageFilters } from '../scripts/image-manifest.js'
+
+const manifest = {
+  '/images/hero.jpg': {
+    format: 'jpeg',
+    width: 1600,
+    height: 900,
+    variants: [
+      { src: '/images/hero-1200.webp', format: 'webp', width: 1200, height: 675 },
+      { src: '/images/hero-400.webp', format: 'webp', width: 400, height: 225 },
+      { src: '/images/hero.webp', format: 'webp', width: 1600, height: 900 },
+      { src: '/images/hero-800.jpeg', format: 'jpeg', width: 800, height: 450 },
+      { src: '/images/hero-400.jpeg', format: 'jpeg', width: 400, height: 225 }
+    ]
+  },
+  '/images/logo.png': { format: 'png', width: 200, height: 80, variants: [] }
+}
+
+// Serves `contents` as the manifest file, leaving every other path to the real fs
+const serveManifest = contents => {
+  const mtimeMs = Date.now() + Math.random()
+  const { existsSync, statSync, readFileSync } = fs
+  const isManifest = file => file === IMAGE_MANIFEST_FILE
+
+  vi.spyOn(fs, 'existsSync').mockImplementation(file => isManifest(file) || existsSync(file))
+  vi.spyOn(fs, 'statSync').mockImplementation((file, ...args) => isManifest(file) ? { mtimeMs } : statSync(file, ...args))
+  vi.spyOn(fs, 'readFileSync').mockImplementation((file, ...args) => isManifest(file) ? contents : readFileSync(file, ...args))
+}
+
+describe('image manifest', () => {
+  beforeEach(() => serveManifest(JSON.stringify(manifest)))
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('imageInfo', () => {
+    it('returns the manifest entry of an image', () => {
+      expect(imageInfo('/images/logo.png')).toEqual(manifest['/images/logo.png'])
+    })
+
+    it('finds images without a leading slash, query or hash', () => {
+      expect(imageInfo('images/hero.jpg?v=2#top')).toBe(imageInfo('/images/hero.jpg'))
+      expect(imageInfo('images/hero.jpg').width).toBe(1600)
+    })
+
+    it('returns null for images missing from the manifest', () => {
+      expect(imageInfo('/images/missing.jpg')).toBeNull()
+      expect(imageInfo(undefined)).toBeNull()
+    })
+
+    it('returns null without a manifest', () => {
+      vi.restoreAllMocks()
+      vi.spyOn(fs, 'existsSync').mockReturnValue(false)
+
+      expect(imageInfo('/images/hero.jpg')).toBeNull()
+    })
+
+    it('warns and falls back to an empty manifest when it cannot be parsed', () => {
+      serveManifest('{ not json')
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      expect(imageInfo('/images/hero.jpg')).toBeNull()
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining(`Could not parse ${IMAGE_MANIFEST_FILE}`))
+    })
+  })
+
+  describe('imageSrcset', () => {
+    it('lists the variants of a format from narrowest to widest', () => {
+      expect(imageSrcset('/images/hero.jpg', 'webp'))
+        .toBe('/images/hero-400.webp 400w, /images/hero-1200.webp 1200w, /images/hero.webp 1600w')
+    })
+
+    it('counts the source image as a variant of its own format', () => {
+      expect(imageSrcset('/images/hero.jpg', 'jpeg'))
+        .toBe('/images/hero-400.jpeg 400w, /images/hero-800.jpeg 800w, /images/hero.jpg 1600w')
+      expect(imageSrcset('/images/logo.png', 'png')).toBe('/images/logo.png 200w')
+    })
+
+    it('is empty for a format without variants', () => {
+      expect(imageSrcset('/images/hero.jpg', 'avif')).toBe('')
+      expect(imageSrcset('/images/logo.png', 'webp')).toBe('')
+    })
+
+    it('is empty for images missing from the manifest', () => {
+      expect(imageSrcset('/images/missing.jpg', 'webp')).toBe('')
+    })
+  })
+
+  describe('responsiveImage macro', () => {
+    const env = new nunjucks.Environment(new nunjucks.FileSystemLoader(process.cwd()))
+    Object.entries(imageFilters).forEach(([name, filter]) => env.addFilter(name, filter))
+    const render = src => env.renderString(
+      `{% from 'src/views/macros/responsive-img.njk' import responsiveImage %}{{ responsiveImage('${src}', 'Alt') }}`
+    ).replace(/\s+/g, ' ').trim()
+
+    it('emits a source per generated format and the source format on the img', () => {
+      const html = render('/images/hero.jpg')
+
+      expect(html).not.toContain('image/avif')
+      expect(html).toContain('<source type="image/webp" srcset="/images/hero-400.webp 400w, /images/hero-1200.webp 1200w, /images/hero.webp 1600w"')
+      expect(html).toContain('srcset="/images/hero-400.jpeg 400w, /images/hero-800.jpeg 800w, /images/hero.jpg 1600w"')
+      expect(html).toContain('width="1600" height="900"')
+    })
+
+    it('falls back to a plain img for images missing from the manifest', () => {
+      expect(render('/images/missing.jpg'))
+        .toBe('<img class="h-100 w-100 object-fit-cover" src="/images/missing.jpg" alt="Alt" loading="lazy">')
+    })
+  })
+})
@@ -0,0 +1,180 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { defineComponent, mountComponents, unmountComponents, observeComponents } from '../src/js/shared/initialization.js'
+
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve)))
+
+let count = 0
+// Each test registers its own component so definitions don't leak between tests
+const uniqueName = () => `Test${++count}`
+
+describe('defineComponent', () => {
+  afterEach(() => {
+    unmountComponents()
+    document.body.innerHTML = ''
+  })
+
+  it('mounts on the matching elements already in the document', () => {
+    document.body.innerHTML = '<div class="widget"></div><div class="widget"></div><div class="other"></div>'
+    const mount = vi.fn()
+
+    defineComponent(uniqueName(), { selector: '.widget', mount })
+    expect(mount).toHaveBeenCalledTimes(2)
+    expect(mount.mock.calls.map(([element]) => element.className)).toEqual(['widget', 'widget'])
+  })
+
+  it('mounts each element once', () => {
+    document.body.innerHTML = '<div class="widget"></div>'
+    const mount = vi.fn()
+    const component = defineComponent(uniqueName(), { selector: '.widget', mount })
+
+    component.mount()
+    mountComponents()
+    expect(mount).toHaveBeenCalledTimes(1)
+  })
+
+  it('mounts inside a container, including the container itself', () => {
+    const mount = vi.fn()
+    defineComponent(uniqueName(), { selector: '.widget', mount })
+
+    const container = document.createElement('section')
+    container.className = 'widget'
+    container.innerHTML = '<div class="widget"></div>'
+    document.body.append(container)
+
+    mountComponents(container)
+    expect(mount).toHaveBeenCalledTimes(2)
+    expect(mount.mock.calls[0][0]).toBe(container)
+  })
+
+  it('runs the cleanup returned by mount, then unmount', () => {
+    document.body.innerHTML = '<div class="widget"></div>'
+    const calls = []
+    defineComponent(uniqueName(), {
+      selector: '.widget',
+      mount: () => () => calls.push('cleanup'),
+      unmount: () => calls.push('unmount')
+    })
+
+    unmountComponents()
+    expect(calls).toEqual(['cleanup', 'unmount'])
+
+    unmountComponents()
+    expect(calls).toHaveLength(2)
+  })
+
+  it('unmounts only the instances inside a container', () => {
+    document.body.innerHTML = '<div id="a"><div class="widget"></div></div><div id="b"><div class="widget"></div></div>'
+    const unmount = vi.fn()
+    const component = defineComponent(uniqueName(), { selector: '.widget', mount: () => {}, unmount })
+
+    component.unmount(document.getElementById('a'))
+    expect(unmount).toHaveBeenCalledTimes(1)
+    expect(unmount.mock.calls[0][0].parentElement.id).toBe('a')
+  })
+
+  it('unmounts instances whose element left the document on mountComponents', () => {
+    document.body.innerHTML = '<div class="widget"></div>'
+    const unmount = vi.fn()
+    defineComponent(uniqueName(), { selector: '.widget', mount: () => {}, unmount })
+
+    document.querySelector('.widget').remove()
+    mountComponents()
+    expect(unmount).toHaveBeenCalledTimes(1)
+  })
+
+  it('unmounts the previous definition when a name is defined again', () => {
+    document.body.innerHTML = '<div class="widget"></div>'
+    const name = uniqueName()
+    const cleanup = vi.fn()
+    const mount = vi.fn()
+
+    defineComponent(name, { selector: '.widget', mount: () => cleanup })
+    defineComponent(name, { selector: '.widget', mount })
+    expect(cleanup).toHaveBeenCalledTimes(1)
+    expect(mount).toHaveBeenCalledTimes(1)
+  })
+
+  it('logs a failing mount and keeps mounting the other elements', () => {
+    document.body.innerHTML = '<div class="widget" data-fail></div><div class="widget"></div>'
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const mount = vi.fn(element => {
+      if (element.hasAttribute('data-fail')) throw new Error('boom')
+    })
+
+    const name = uniqueName()
+    defineComponent(name, { selector: '.widget', mount })
+    expect(mount).toHaveBeenCalledTimes(2)
+    expect(error).toHaveBeenCalledWith(`[${name}] mount failed`, expect.any(Error))
+    error.mockRestore()
+  })
+})
+
+describe('observeComponents', () => {
+  let stop = () => {}
+
+  afterEach(() => {
+    stop()
+    unmountComponents()
+    document.body.innerHTML = ''
+  })
+
+  it('mounts components in added markup and unmounts them when it is removed', async () => {
+    const mount = vi.fn()
+    const unmount = vi.fn()
+    defineComponent(uniqueName(), { selector: '.widget', mount, unmount })
+    stop = observeComponents()
+
+    const partial = document.createElement('div')
+    partial.innerHTML = '<div class="widget"></div><div class="widget"></div>'
+    document.body.append(partial)
+    expect(mount).not.toHaveBeenCalled()
+
+    await nextFrame()
+    expect(mount).toHaveBeenCalledTimes(2)
+
+    partial.remove()
+    await nextFrame()
+    expect(unmount).toHaveBeenCalledTimes(2)
+  })
+
+  it('keeps instances mounted when their element moves within a frame', async () => {
+    document.body.innerHTML = '<div id="from"><div class="widget"></div></div><div id="to"></div>'
+    const unmount = vi.fn()
+    const mount = vi.fn()
+    defineComponent(uniqueName(), { selector: '.widget', mount, unmount })
+    stop = observeComponents()
+
+    document.getElementById('to').append(document.querySelector('.widget'))
+    await nextFrame()
+    expect(unmount).not.toHaveBeenCalled()
+    expect(mount).toHaveBeenCalledTimes(1)
+  })
+
+  it('stops watching when the returned function is called', async () => {
+    const mount = vi.fn()
+    defineComponent(uniqueName(), { selector: '.widget', mount })
+    stop = observeComponents()
+    stop()
+
+    document.body.insertAdjacentHTML('beforeend', '<div class="widget"></div>')
+    await nextFrame()
+    expect(mount).not.toHaveBeenCalled()
+  })
+
+  it('runs one observer at a time', async () => {
+    document.body.innerHTML = '<div id="first"></div><div id="second"></div>'
+    const mount = vi.fn()
+    defineComponent(uniqueName(), { selector: '.widget', mount })
+
+    observeComponents(document.getElementById('first'))
+    stop = observeComponents(document.getElementById('second'))
+
+    document.getElementById('first').insertAdjacentHTML('beforeend', '<div class="widget"></div>')
+    await nextFrame()
+    expect(mount).not.toHaveBeenCalled()
+
+    document.getElementById('second').insertAdjacentHTML('beforeend', '<div class="widget"></div>')
+    await nextFrame()
+    expect(mount).toHaveBeenCalledTimes(1)
+  })
+})
@@ -5,7 +5,12 @@ describe('JavaScript Modules', () => {
   const jsFiles = [
     'src/js/main.js',
     'src/js/general.js',
-    'src/js/shared/initialization.js'
+    'src/js/shared/initialization.js',
+    'src/js/shared/hydration.js',
+    'src/js/shared/focus-trap.js',
+    'src/js/shared/scroll-lock.js',
+    'src/js/shared/typeahead.js',
+    'src/js/shared/sticky-header.js'
   ]
 
   jsFiles.forEach(filePath => {
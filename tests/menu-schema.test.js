@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest'
+import fs from 'fs'
+import { slugify, validateMenu, normalizeMenu, prepareMenus } from '../scripts/menu-schema.js'
+
+const link = (name, url = `/${slugify(name)}`) => ({ name, url })
+
+describe('menu schema', () => {
+  describe('validateMenu', () => {
+    it('accepts the menus in data.json', () => {
+      const data = JSON.parse(fs.readFileSync('src/views/data.json', 'utf8'))
+      const seenIds = new Map()
+
+      expect(validateMenu(data.menu, 'menu', seenIds)).toEqual([])
+      expect(validateMenu(data.right_menu, 'right_menu', seenIds)).toEqual([])
+    })
+
+    it('reports each problem with its path', () => {
+      const errors = validateMenu([
+        { name: 'Plain' },
+        { name: 'Shop', megamenu: 'v3', children: [{ name: 'Column', children2: [{ name: 'No url' }] }] },
+        { name: '', megamenu: 'v2', children: [{ name: 'Panel', children2: [{ name: 'Topics', subject: 'x' }] }], banner: {} },
+        'oops'
+      ])
+
+      expect(errors).toEqual([
+        'menu[0].url: must be a non-empty string for an entry without children',
+        'menu[1].megamenu: must be one of "v1", "v2", true or false (got "v3")',
+        'menu[1].children[0].children2[0].url: must be a non-empty string',
+        'menu[2].name: must be a non-empty string',
+        'menu[2].children[0].children2[0].subject: must be an array',
+        'menu[2].banner: must be {image, cta?}',
+        'menu[3]: must be an object'
+      ])
+    })
+
+    it('checks the V1 offer', () => {
+      const errors = validateMenu([
+        { name: 'Shop', children: [link('Phones')], offer: { title: 'Deal', price: 10, cta: { name: 'Buy' } } }
+      ])
+
+      expect(errors).toEqual([
+        'menu[0].offer.price: must be a string',
+        'menu[0].offer.cta: must be {name, url}'
+      ])
+    })
+
+    it('rejects malformed and duplicate ids, across menus too', () => {
+      const seenIds = new Map()
+      const errors = [
+        ...validateMenu([{ name: 'Help', id: 'help', url: '/help' }, { name: 'Bad', id: 'Bad Id', url: '/bad' }], 'menu', seenIds),
+        ...validateMenu([{ name: 'Help again', id: 'help', url: '/help' }], 'right_menu', seenIds)
+      ]
+
+      expect(errors).toEqual([
+        'menu[1].id: must be lowercase letters, digits and dashes, starting with a letter (got "Bad Id")',
+        'right_menu[0].id: "help" is already used by menu[0]'
+      ])
+    })
+
+    it('requires an array', () => {
+      expect(validateMenu({}, 'right_menu')).toEqual(['right_menu: must be an array'])
+    })
+  })
+
+  describe('normalizeMenu', () => {
+    it('gives every entry an id built from its parents and top-level entries a variant', () => {
+      const [shop, help, sims] = normalizeMenu([
+        { name: 'Shop', children: [{ name: 'Phones & Plans', children2: [link('Prepay')] }] },
+        { name: 'Help', megamenu: true, children: [{ name: 'Start', id: 'start', children2: [{ name: 'Set up', subject: [link('APN')] }] }] },
+        link('SIM Only')
+      ])
+
+      expect(shop.variant).toBe('v1')
+      expect(shop.id).toBe('shop')
+      expect(shop.children[0].id).toBe('shop-phones-and-plans')
+      expect(shop.children[0].children2[0].id).toBe('shop-phones-and-plans-prepay')
+      expect(help.variant).toBe('v2')
+      expect(help.children[0].id).toBe('start')
+      expect(help.children[0].children2[0].id).toBe('start-set-up')
+      expect(help.children[0].children2[0].subject[0].id).toBe('start-set-up-apn')
+      expect(sims.variant).toBe('link')
+      expect(sims.id).toBe('sim-only')
+    })
+
+    it('suffixes colliding ids and never takes an explicit one', () => {
+      const menu = normalizeMenu([link('Deals'), link('Deals'), { name: 'Offers', url: '/offers', id: 'deals-2' }])
+
+      expect(menu.map(entry => entry.id)).toEqual(['deals', 'deals-3', 'deals-2'])
+    })
+
+    it('generates ids that start with a letter', () => {
+      const [plans] = normalizeMenu([{ name: '5G Plans', children: [link('4G Phones')] }])
+
+      expect(plans.id).toBe('item-5g-plans')
+      expect(plans.children[0].id).toBe('item-5g-plans-4g-phones')
+      expect(validateMenu([plans])).toEqual([])
+    })
+
+    it('does not change the menu it is given', () => {
+      const menu = [link('Deals')]
+      normalizeMenu(menu)
+
+      expect(menu).toEqual([link('Deals')])
+    })
+  })
+
+  describe('prepareMenus', () => {
+    it('normalizes both menus with ids unique across them', () => {
+      const data = prepareMenus({ title: 'Page', menu: [link('Help')], right_menu: [link('Help')] })
+
+      expect(data.title).toBe('Page')
+      expect(data.menu[0].id).toBe('help')
+      expect(data.right_menu[0].id).toBe('help-2')
+    })
+
+    it('keeps generated ids off explicit ids in the other menu', () => {
+      const data = prepareMenus({ menu: [link('Help')], right_menu: [{ ...link('Support'), id: 'help' }] })
+
+      expect(data.menu[0].id).toBe('help-2')
+      expect(data.right_menu[0].id).toBe('help')
+    })
+
+    it('throws with every problem listed', () => {
+      expect(() => prepareMenus({ menu: [{ name: 'A' }], right_menu: [{ url: '/b' }] }, 'index.data.json'))
+        .toThrow('Invalid menu in index.data.json:\n' +
+          '  - menu[0].url: must be a non-empty string for an entry without children\n' +
+          '  - right_menu[0].name: must be a non-empty string')
+    })
+
+    it('can prepare menus it has already prepared', () => {
+      const data = prepareMenus({
+        menu: [{ name: '5G Plans', megamenu: 'v2', children: [{ name: 'Deals', children2: [link('SIM Only')] }] }],
+        right_menu: [link('Help'), link('Help')]
+      })
+
+      expect(prepareMenus(data)).toEqual(data)
+    })
+
+    it('leaves data without menus alone', () => {
+      const data = { title: 'Page' }
+      expect(prepareMenus(data)).toBe(data)
+    })
+  })
+
+  it('slugifies names', () => {
+    expect(slugify('Plans, payments & charges')).toBe('plans-payments-and-charges')
+    expect(slugify('Café Übersicht')).toBe('cafe-ubersicht')
+    expect(slugify('!!!')).toBe('item')
+  })
+})
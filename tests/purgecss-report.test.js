@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import postcss from 'postcss'
+import { PurgeCSS } from 'purgecss'
+import { purgeCssWithReport } from '../scripts/purgecss-report.js'
+
+const CSS = `
+.used { color: red; }
+.unused { color: blue; }
+@keyframes spin { to { transform: rotate(1turn); } }
+@keyframes fade { to { opacity: 0; } }
+.used-animated { animation: spin 1s; }
+`
+
+const purge = async ({ dryRun = false } = {}) => {
+  const report = new Map()
+  const options = {
+    content: [{ raw: '<div class="used used-animated"></div>', extension: 'html' }],
+    keyframes: true
+  }
+  const result = await postcss([purgeCssWithReport(options, { report, dryRun })])
+    .process(CSS, { from: '/src/styles.css' })
+  return { css: result.css, entry: report.get('/src/styles.css') }
+}
+
+describe('purgeCssWithReport', () => {
+  // The plugin calls PurgeCSS members that aren't part of its documented API
+  it('finds the PurgeCSS internals it relies on', () => {
+    const purgeCSS = new PurgeCSS()
+    ;['walkThroughCSS', 'removeUnusedFontFaces', 'removeUnusedKeyframes', 'removeUnusedCSSVariables', 'extractSelectorsFromFiles', 'extractSelectorsFromString']
+      .forEach(method => expect(typeof purgeCSS[method], method).toBe('function'))
+    expect(purgeCSS.selectorsRemoved).toBeInstanceOf(Set)
+  })
+
+  it('purges unused rules and keyframes and reports them', async () => {
+    const { css, entry } = await purge()
+
+    expect(css).toContain('.used {')
+    expect(css).not.toContain('.unused')
+    expect(css).toContain('@keyframes spin')
+    expect(css).not.toContain('@keyframes fade')
+    expect(entry.removed).toEqual(['.unused'])
+    expect(entry.kept).toEqual(expect.arrayContaining(['.used', '.used-animated']))
+  })
+
+  it('leaves the stylesheet untouched in dry-run mode', async () => {
+    const { css, entry } = await purge({ dryRun: true })
+
+    expect(css).toContain('.unused')
+    expect(entry.removed).toEqual(['.unused'])
+    expect(entry.kept).not.toContain('.unused')
+  })
+})
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { scrollLock } from '../src/js/shared/scroll-lock.js'
+
+describe('scrollLock', () => {
+  let releases = []
+  const lock = () => {
+    const release = scrollLock()
+    releases.push(release)
+    return release
+  }
+
+  beforeEach(() => {
+    document.documentElement.removeAttribute('style')
+    document.body.removeAttribute('style')
+    // a 15px scrollbar
+    vi.spyOn(document.documentElement, 'clientWidth', 'get').mockReturnValue(window.innerWidth - 15)
+  })
+
+  afterEach(() => {
+    releases.forEach(release => release())
+    releases = []
+    vi.restoreAllMocks()
+  })
+
+  it('hides overflow on <html>, the page scroller, and <body>', () => {
+    lock()
+
+    expect(document.documentElement.style.overflow).toBe('hidden')
+    expect(document.body.style.overflow).toBe('hidden')
+  })
+
+  it('pads the body by the scrollbar width measured before locking', () => {
+    document.body.style.paddingRight = '5px'
+    lock()
+
+    expect(document.body.style.paddingRight).toBe('20px')
+  })
+
+  it('restores the previous inline styles on release', () => {
+    document.documentElement.style.overflow = 'scroll'
+    document.body.style.overflow = 'auto'
+
+    lock()()
+    expect(document.documentElement.style.overflow).toBe('scroll')
+    expect(document.body.style.overflow).toBe('auto')
+    expect(document.body.style.paddingRight).toBe('')
+  })
+
+  it('unlocks when the last of several locks is released', () => {
+    const first = lock()
+    const second = lock()
+
+    first()
+    first()
+    expect(document.documentElement.style.overflow).toBe('hidden')
+
+    second()
+    expect(document.documentElement.style.overflow).toBe('')
+  })
+
+  it('pins the body on iOS and restores the scroll position', () => {
+    vi.spyOn(navigator, 'platform', 'get').mockReturnValue('iPhone')
+    vi.spyOn(window, 'scrollY', 'get').mockReturnValue(120)
+    const scrollTo = vi.spyOn(window, 'scrollTo').mockImplementation(() => {})
+
+    const release = lock()
+    expect(document.body.style.position).toBe('fixed')
+    expect(document.body.style.top).toBe('-120px')
+
+    release()
+    expect(document.body.style.position).toBe('')
+    expect(scrollTo).toHaveBeenCalledWith({ top: 120, behavior: 'instant' })
+  })
+})
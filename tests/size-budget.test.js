@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { randomBytes } from 'node:crypto'
+import { sizeBudgetPlugin } from '../vite-plugins.js'
+
+// Random bytes barely compress, so a few kB stay a few kB after gzip and brotli
+const code = kB => randomBytes(kB * 1024).toString('base64')
+
+const bundle = () => ({
+  'js/global.min.js': {
+    type: 'chunk',
+    isEntry: true,
+    name: 'global',
+    fileName: 'js/global.min.js',
+    facadeModuleId: path.resolve('src/js/global.js'),
+    imports: [],
+    code: code(4),
+    viteMetadata: { importedCss: new Set() }
+  }
+})
+
+const build = (options, context) => {
+  const plugin = sizeBudgetPlugin(options)
+  plugin.buildStart({ input: { global: 'src/js/global.js' } })
+  plugin.generateBundle.call(context, {}, bundle())
+}
+
+describe('sizeBudgetPlugin', () => {
+  let dir
+  let history
+  let context
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'size-budget-'))
+    history = path.join(dir, 'bundle-sizes.json')
+    context = {
+      error: vi.fn(message => { throw new Error(message) }),
+      warn: vi.fn()
+    }
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('saves the sizes of a build within budget', () => {
+    build({ budgets: { default: { gzip: 20, brotli: 20 } }, history }, context)
+
+    const sizes = JSON.parse(fs.readFileSync(history, 'utf8'))
+    expect(Object.keys(sizes)).toEqual(['global'])
+    expect(sizes.global.gzip).toBeGreaterThan(4 * 1024)
+  })
+
+  it('fails a build over budget and keeps the previous history', () => {
+    fs.writeFileSync(history, JSON.stringify({ global: { raw: 1, gzip: 1, brotli: 1 } }))
+
+    expect(() => build({ budgets: { global: { gzip: 1 } }, history }, context))
+      .toThrow('Size budget exceeded for 1 entry')
+    expect(JSON.parse(fs.readFileSync(history, 'utf8')).global.gzip).toBe(1)
+  })
+
+  it('only warns in a dry run and does not write the history', () => {
+    build({ budgets: { default: { gzip: 1, brotli: 1 } }, history, dryRun: true }, context)
+
+    expect(context.error).not.toHaveBeenCalled()
+    expect(context.warn).toHaveBeenCalledTimes(1)
+    expect(context.warn.mock.calls[0][0]).toMatch(/global: gzip .* > 1 kB/)
+    expect(fs.existsSync(history)).toBe(false)
+  })
+
+  it('does not write the history in a dry run within budget either', () => {
+    build({ budgets: { default: { gzip: 20 } }, history, dryRun: true }, context)
+
+    expect(context.warn).not.toHaveBeenCalled()
+    expect(fs.existsSync(history)).toBe(false)
+  })
+})
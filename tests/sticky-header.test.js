@@ -0,0 +1,202 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { stickyHeader } from '../src/js/shared/sticky-header.js'
+
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve)))
+
+const HEIGHT = 64
+
+describe('stickyHeader', () => {
+  const scrollY = Object.getOwnPropertyDescriptor(window, 'scrollY')
+  const root = document.documentElement
+  let y
+  let element
+  let header
+  let reducedMotion
+
+  const scrollTo = async value => {
+    y = value
+    window.dispatchEvent(new Event('scroll'))
+    await nextFrame()
+  }
+  const has = name => element.classList.contains(name)
+  const height = () => root.style.getPropertyValue('--header-height')
+
+  beforeEach(() => {
+    y = 0
+    Object.defineProperty(window, 'scrollY', { configurable: true, get: () => y })
+
+    // jsdom has no matchMedia and lays nothing out
+    reducedMotion = { matches: false, addEventListener: vi.fn(), removeEventListener: vi.fn() }
+    window.matchMedia = vi.fn(() => reducedMotion)
+
+    document.body.innerHTML = '<header><a href="/">Home</a></header>'
+    element = document.querySelector('header')
+    Object.defineProperty(element, 'offsetHeight', { configurable: true, value: HEIGHT })
+  })
+
+  afterEach(() => {
+    header?.destroy()
+    header = null
+    Object.defineProperty(window, 'scrollY', scrollY)
+    delete window.matchMedia
+    document.body.innerHTML = ''
+  })
+
+  it('becomes sticky once the page scrolls and publishes its height', async () => {
+    header = stickyHeader(element)
+    expect(has('sticky-header')).toBe(false)
+    expect(height()).toBe(`${HEIGHT}px`)
+
+    await scrollTo(40)
+    expect(has('sticky-header')).toBe(true)
+    expect(has('sticky-header--hidden')).toBe(false)
+
+    await scrollTo(0)
+    expect(has('sticky-header')).toBe(false)
+  })
+
+  it('uses the given custom property', () => {
+    header = stickyHeader(element, { property: '--masthead' })
+
+    expect(root.style.getPropertyValue('--masthead')).toBe(`${HEIGHT}px`)
+    expect(height()).toBe('')
+  })
+
+  describe('hide', () => {
+    it('hides while scrolling down past the threshold and returns on scrolling up', async () => {
+      header = stickyHeader(element, { mode: 'hide' })
+
+      await scrollTo(60)
+      expect(has('sticky-header--hidden')).toBe(false)
+
+      await scrollTo(200)
+      expect(has('sticky-header--hidden')).toBe(true)
+      expect(height()).toBe('0px')
+
+      await scrollTo(150)
+      expect(has('sticky-header--hidden')).toBe(false)
+      expect(height()).toBe(`${HEIGHT}px`)
+    })
+
+    it('ignores scrolling within the tolerance', async () => {
+      header = stickyHeader(element, { mode: 'hide', threshold: 50, tolerance: 20 })
+
+      await scrollTo(40)
+      await scrollTo(55)
+      expect(has('sticky-header--hidden')).toBe(false)
+
+      await scrollTo(70)
+      expect(has('sticky-header--hidden')).toBe(true)
+
+      await scrollTo(55)
+      expect(has('sticky-header--hidden')).toBe(true)
+
+      await scrollTo(45)
+      expect(has('sticky-header--hidden')).toBe(false)
+    })
+
+    it('comes back when focus moves into the header', async () => {
+      header = stickyHeader(element, { mode: 'hide' })
+      await scrollTo(200)
+
+      element.querySelector('a').focus()
+      expect(has('sticky-header--hidden')).toBe(false)
+
+      await scrollTo(400)
+      expect(has('sticky-header--hidden')).toBe(false)
+    })
+
+    it('behaves as sticky with prefers-reduced-motion', async () => {
+      reducedMotion.matches = true
+      header = stickyHeader(element, { mode: 'hide' })
+
+      await scrollTo(200)
+      expect(window.matchMedia).toHaveBeenCalledWith('(prefers-reduced-motion: reduce)')
+      expect(has('sticky-header')).toBe(true)
+      expect(has('sticky-header--hidden')).toBe(false)
+    })
+
+    it('follows a change of the reduced motion preference', async () => {
+      reducedMotion.matches = true
+      header = stickyHeader(element, { mode: 'hide' })
+      const [[event, listener]] = reducedMotion.addEventListener.mock.calls
+      expect(event).toBe('change')
+
+      reducedMotion.matches = false
+      await scrollTo(200)
+      expect(has('sticky-header--hidden')).toBe(true)
+
+      reducedMotion.matches = true
+      listener()
+      await nextFrame()
+      expect(has('sticky-header--hidden')).toBe(false)
+    })
+  })
+
+  it('shrinks past the threshold in shrink mode without hiding', async () => {
+    header = stickyHeader(element, { mode: 'shrink', threshold: 120 })
+
+    await scrollTo(119)
+    expect(has('sticky-header')).toBe(true)
+    expect(has('sticky-header--shrink')).toBe(false)
+
+    await scrollTo(300)
+    expect(has('sticky-header--shrink')).toBe(true)
+    expect(has('sticky-header--hidden')).toBe(false)
+
+    await scrollTo(0)
+    expect(has('sticky-header--shrink')).toBe(false)
+  })
+
+  it('does not shrink in the other modes', async () => {
+    header = stickyHeader(element)
+
+    await scrollTo(300)
+    expect(has('sticky-header--shrink')).toBe(false)
+  })
+
+  it('falls back to sticky on an unknown mode', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    header = stickyHeader(element, { mode: 'fade' })
+
+    expect(warn).toHaveBeenCalledWith('[sticky-header] Unknown mode "fade", expected one of: sticky, hide, shrink')
+    await scrollTo(300)
+    expect(has('sticky-header')).toBe(true)
+    expect(has('sticky-header--hidden')).toBe(false)
+    warn.mockRestore()
+  })
+
+  it('shows the header and ignores scrolling while paused', async () => {
+    header = stickyHeader(element, { mode: 'hide' })
+    await scrollTo(200)
+
+    header.pause()
+    expect(has('sticky-header--hidden')).toBe(false)
+
+    await scrollTo(400)
+    expect(has('sticky-header--hidden')).toBe(false)
+
+    header.resume()
+    await scrollTo(600)
+    expect(has('sticky-header--hidden')).toBe(true)
+  })
+
+  it('removes its classes, property and listeners on destroy', async () => {
+    const removeEventListener = vi.spyOn(window, 'removeEventListener')
+    header = stickyHeader(element, { mode: 'shrink' })
+    await scrollTo(300)
+    expect(element.className).toBe('sticky-header sticky-header--shrink')
+
+    header.destroy()
+    header = null
+    expect(element.className).toBe('')
+    expect(height()).toBe('')
+    expect(removeEventListener).toHaveBeenCalledWith('scroll', expect.any(Function))
+    expect(reducedMotion.removeEventListener).toHaveBeenCalledWith('change', reducedMotion.addEventListener.mock.calls[0][1])
+
+    await scrollTo(0)
+    await scrollTo(300)
+    expect(element.className).toBe('')
+    removeEventListener.mockRestore()
+  })
+})
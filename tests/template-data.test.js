@@ -0,0 +1,120 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { DATA_FILE, deepMerge, readJson, dataFileFor, loadTemplateData } from '../scripts/template-data.js'
+
+describe('template data', () => {
+  let dir
+
+  const write = (file, data) => {
+    const target = path.join(dir, file)
+    fs.writeFileSync(target, typeof data === 'string' ? data : JSON.stringify(data))
+    return target
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-data-'))
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  describe('deepMerge', () => {
+    it('merges nested objects, later sources winning', () => {
+      const merged = deepMerge({}, { site: { name: 'Shop', theme: { color: 'blue', font: 'Inter' } } }, { site: { theme: { color: 'red' } } })
+
+      expect(merged).toEqual({ site: { name: 'Shop', theme: { color: 'red', font: 'Inter' } } })
+    })
+
+    it('replaces arrays instead of merging them', () => {
+      expect(deepMerge({}, { tags: ['a', 'b'], menu: [{ name: 'Home' }] }, { tags: ['c'] }))
+        .toEqual({ tags: ['c'], menu: [{ name: 'Home' }] })
+    })
+
+    it('replaces objects with other values and the other way round', () => {
+      expect(deepMerge({}, { hero: { title: 'Hi' }, banner: false }, { hero: null, banner: { image: 'a.jpg' } }))
+        .toEqual({ hero: null, banner: { image: 'a.jpg' } })
+    })
+
+    it('skips sources that are not plain objects', () => {
+      expect(deepMerge({ a: 1 }, null, [1, 2], 'text', { b: 2 })).toEqual({ a: 1, b: 2 })
+    })
+
+    it('leaves the sources untouched', () => {
+      const base = { site: { theme: { color: 'blue' } } }
+      const merged = deepMerge({}, base, { site: { theme: { color: 'red' } } })
+
+      expect(base.site.theme.color).toBe('blue')
+      expect(merged.site).not.toBe(base.site)
+    })
+  })
+
+  describe('readJson', () => {
+    it('returns an empty object for a missing file', () => {
+      expect(readJson(path.join(dir, 'missing.json'))).toEqual({})
+    })
+
+    it('warns and returns an empty object for invalid JSON', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      expect(readJson(write('broken.json', '{ "title": '))).toEqual({})
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Warning: Could not parse'))
+    })
+  })
+
+  it('finds the data file next to a template', () => {
+    expect(dataFileFor(path.join('src', 'views', 'components', 'Hero', 'hero.njk')))
+      .toBe(path.join('src', 'views', 'components', 'Hero', 'hero.data.json'))
+    expect(dataFileFor('index.html')).toBe('index.data.json')
+  })
+
+  describe('loadTemplateData', () => {
+    const base = { title: 'Site', hero: { title: 'Welcome', cta: { name: 'Shop', url: '/shop' } }, tags: ['a', 'b'] }
+
+    it('deep-merges the template data file over the base data', () => {
+      const template = write('page.html', '')
+      write('page.data.json', { hero: { cta: { name: 'Buy' } }, tags: ['c'] })
+
+      expect(loadTemplateData(template, base)).toEqual({
+        title: 'Site',
+        hero: { title: 'Welcome', cta: { name: 'Buy', url: '/shop' } },
+        tags: ['c']
+      })
+      expect(base.hero.cta.name).toBe('Shop')
+    })
+
+    it('returns a copy of the base data without a data file', () => {
+      const data = loadTemplateData(write('hero.njk', ''), base)
+
+      expect(data).toEqual(base)
+      expect(data.hero).not.toBe(base.hero)
+    })
+
+    it('uses data.json as the base data by default', () => {
+      const template = write('page.html', '')
+      write('page.data.json', { title: 'Page' })
+
+      const data = loadTemplateData(template)
+      expect(data).toEqual(loadTemplateData(template, readJson(DATA_FILE)))
+      expect(data.title).toBe('Page')
+      expect(data.menu).toBeDefined()
+    })
+
+    it('prepares the menus of the merged data', () => {
+      const template = write('page.html', '')
+      write('page.data.json', { menu: [{ name: 'Help', url: '/help' }] })
+
+      expect(loadTemplateData(template, base).menu).toEqual([{ name: 'Help', url: '/help', id: 'help', variant: 'link' }])
+    })
+
+    it('names the template when a menu is invalid', () => {
+      const template = write('page.html', '')
+      write('page.data.json', { menu: [{ name: 'Help' }] })
+
+      expect(() => loadTemplateData(template, base)).toThrow(`Invalid menu in the data for ${path.relative(process.cwd(), template)}`)
+    })
+  })
+})
@@ -0,0 +1,164 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { Typeahead } from '../src/js/shared/typeahead.js'
+
+const key = (target, name) => {
+  const event = new KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true })
+  target.dispatchEvent(event)
+  return event
+}
+
+const respond = body => vi.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(body) }))
+
+describe('Typeahead', () => {
+  let form
+  let input
+  let typeahead
+  let fetch
+
+  const type = async value => {
+    input.value = value
+    input.dispatchEvent(new Event('input'))
+    await vi.advanceTimersByTimeAsync(200)
+  }
+  const options = () => Array.from(typeahead.listbox.querySelectorAll('[role="option"]'))
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    localStorage.clear()
+    document.body.innerHTML = `
+      <div id="panel">
+        <form action="/search">
+          <div><input type="search" id="searchQuery" name="q"></div>
+        </form>
+      </div>`
+    form = document.querySelector('form')
+    form.addEventListener('submit', e => e.preventDefault())
+    input = document.getElementById('searchQuery')
+    fetch = respond({ suggestions: [{ label: 'Prepay plans', category: 'Plans' }, { label: 'Prepay phones' }] })
+    vi.stubGlobal('fetch', fetch)
+    typeahead = new Typeahead(input, { endpoint: '/api/suggest', storageKey: 'test:recent', minLength: undefined })
+  })
+
+  afterEach(() => {
+    typeahead.destroy()
+    vi.unstubAllGlobals()
+    vi.useRealTimers()
+  })
+
+  it('sets up the input as a combobox controlling a listbox', () => {
+    expect(input.getAttribute('role')).toBe('combobox')
+    expect(input.getAttribute('aria-autocomplete')).toBe('list')
+    expect(input.getAttribute('aria-expanded')).toBe('false')
+    expect(input.getAttribute('aria-controls')).toBe('searchQuery-suggestions')
+    expect(typeahead.listbox.getAttribute('role')).toBe('listbox')
+    expect(typeahead.options.minLength).toBe(2)
+  })
+
+  it('fetches debounced suggestions and renders them', async () => {
+    input.value = 'pre'
+    input.dispatchEvent(new Event('input'))
+    await vi.advanceTimersByTimeAsync(100)
+    expect(fetch).not.toHaveBeenCalled()
+
+    await vi.advanceTimersByTimeAsync(100)
+    expect(fetch).toHaveBeenCalledTimes(1)
+    const url = new URL(fetch.mock.calls[0][0])
+    expect(url.pathname).toBe('/api/suggest')
+    expect(url.searchParams.get('q')).toBe('pre')
+    expect(url.searchParams.get('limit')).toBe('8')
+
+    expect(input.getAttribute('aria-expanded')).toBe('true')
+    // label, then category
+    expect(options().map(option => option.textContent)).toEqual(['Prepay plansPlans', 'Prepay phones'])
+    expect(options().map(option => option.querySelector('mark').textContent)).toEqual(['Pre', 'Pre'])
+    expect(options()[0].querySelector('.search-suggestions__category').textContent).toBe('Plans')
+    expect(typeahead.status.textContent).toBe('2 suggestions available, use up and down arrows to review')
+  })
+
+  it('accepts a plain array of strings', async () => {
+    fetch.mockImplementation(respond(['One', 'Two', 'Three']))
+    await type('on')
+
+    expect(options().map(option => option.textContent)).toEqual(['One', 'Two', 'Three'])
+  })
+
+  it('does not query below minLength', async () => {
+    await type('p')
+
+    expect(fetch).not.toHaveBeenCalled()
+    expect(typeahead.isOpen).toBe(false)
+  })
+
+  it('moves through the options with the arrow keys via aria-activedescendant', async () => {
+    await type('pre')
+
+    key(input, 'ArrowDown')
+    expect(input.getAttribute('aria-activedescendant')).toBe(options()[0].id)
+    expect(options()[0].getAttribute('aria-selected')).toBe('true')
+
+    key(input, 'ArrowDown')
+    key(input, 'ArrowDown')
+    expect(input.getAttribute('aria-activedescendant')).toBe(options()[0].id)
+
+    key(input, 'ArrowUp')
+    expect(input.getAttribute('aria-activedescendant')).toBe(options()[1].id)
+  })
+
+  it('searches for the active option on Enter and remembers it', async () => {
+    const submit = vi.fn(e => e.preventDefault())
+    form.addEventListener('submit', submit)
+    await type('pre')
+
+    key(input, 'ArrowDown')
+    expect(key(input, 'Enter').defaultPrevented).toBe(true)
+    expect(input.value).toBe('Prepay plans')
+    expect(submit).toHaveBeenCalledTimes(1)
+    expect(typeahead.isOpen).toBe(false)
+    expect(JSON.parse(localStorage.getItem('test:recent'))).toContain('Prepay plans')
+  })
+
+  it('closes on Escape without letting the key reach the panel', async () => {
+    const panelKeydown = vi.fn()
+    document.getElementById('panel').addEventListener('keydown', panelKeydown)
+    await type('pre')
+
+    expect(key(input, 'Escape').defaultPrevented).toBe(true)
+    expect(typeahead.isOpen).toBe(false)
+    expect(typeahead.status.textContent).toBe('')
+    expect(panelKeydown).not.toHaveBeenCalled()
+
+    key(input, 'Escape')
+    expect(panelKeydown).toHaveBeenCalledTimes(1)
+  })
+
+  it('offers recent searches, newest first and without duplicates, while the input is empty', () => {
+    ;['plans', 'phones', 'Plans'].forEach(query => {
+      input.value = query
+      form.dispatchEvent(new Event('submit', { cancelable: true }))
+    })
+    input.value = ''
+    input.dispatchEvent(new Event('focus'))
+
+    expect(options().map(option => option.textContent)).toEqual(['Plans', 'phones'])
+    expect(typeahead.listbox.getAttribute('aria-label')).toBe('Recent searches')
+  })
+
+  it('closes the list when the request fails', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    fetch.mockImplementation(() => Promise.resolve({ ok: false, status: 500, statusText: 'Server Error' }))
+    await type('pre')
+
+    expect(typeahead.isOpen).toBe(false)
+    expect(warn).toHaveBeenCalled()
+    warn.mockRestore()
+  })
+
+  it('restores the input and removes its elements on destroy', () => {
+    typeahead.destroy()
+
+    expect(input.hasAttribute('role')).toBe(false)
+    expect(input.hasAttribute('aria-controls')).toBe(false)
+    expect(document.querySelector('.search-suggestions')).toBeNull()
+    expect(document.querySelector('[role="status"]')).toBeNull()
+  })
+})
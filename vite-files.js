@@ -1,26 +1,52 @@
 import {globSync} from "glob";
 import path from "path";
+import {feConfig, resolveGlob, resolvePath} from "./scripts/fe-config.js";
 
-const pageHtmlFiles = globSync('src/views/pages/**/*.html')
+const pagesDir = resolvePath(feConfig.src.pages)
+const jsDir = resolvePath(feConfig.src.js)
 
-const htmlEntries = Object.fromEntries(
-    pageHtmlFiles.map(file => {
-        const relative = path
-            .relative('src/views/pages', file)
-            .replace(/\.html$/, '')
-        const name = relative.split(path.sep).join('-') || 'index'
-        return [name, path.resolve(__dirname, file)]
-    })
+const findPageHtmlFiles = () => globSync(resolveGlob(`${feConfig.src.pages}/**/*.html`))
+
+const toPageName = file => path
+    .relative(pagesDir, file)
+    .replace(/\.html$/, '')
+    .split(path.sep)
+    .join('-') || 'index'
+
+const toHtmlEntries = files => Object.fromEntries(
+    files.map(file => [toPageName(file), resolvePath(file)])
 )
 
-const componentEntries = Object.fromEntries(globSync('src/views/components/**/*.js')
+const pageHtmlFiles = findPageHtmlFiles()
+
+const htmlEntries = toHtmlEntries(pageHtmlFiles)
+
+/**
+ * Re-globs the pages and updates pageHtmlFiles and htmlEntries in place,
+ * so plugins holding a reference see pages added while the dev server runs
+ */
+const refreshHtmlEntries = () => {
+    pageHtmlFiles.splice(0, pageHtmlFiles.length, ...findPageHtmlFiles())
+
+    Object.keys(htmlEntries).forEach(name => delete htmlEntries[name])
+    Object.assign(htmlEntries, toHtmlEntries(pageHtmlFiles))
+}
+
+const componentEntries = Object.fromEntries(globSync(resolveGlob(`${feConfig.src.components}/**/*.js`))
     .map(file => {
         const name = path.basename(path.dirname(file));
-        return [name, path.resolve(__dirname, file)];
+        return [name, resolvePath(file)];
     }));
 
 const globalEntries = {
-    global: path.resolve(__dirname, 'src/js/general.js'),
+    global: path.join(jsDir, 'general.js'),
 };
 
-export {pageHtmlFiles, htmlEntries, componentEntries, globalEntries};
+export {
+    pageHtmlFiles,
+    htmlEntries,
+    toPageName,
+    refreshHtmlEntries,
+    componentEntries,
+    globalEntries
+};
@@ -1,39 +1,359 @@
 import fs from "fs";
+import os from "os";
 import path from "path";
+import crypto from "crypto";
+import zlib from "zlib";
 import ttf2woff2 from "ttf2woff2";
 import ttf2woff from "ttf2woff";
 import ttf2eot from "ttf2eot";
 import sharp from "sharp";
+import subsetFont from "subset-font";
 import ansi from 'ansi-colors'
-import {htmlEntries} from "./vite-files.js";
+import nunjucks from 'vite-plugin-nunjucks'
+import nunjucksLib from 'nunjucks'
+import {htmlEntries, refreshHtmlEntries, toPageName} from "./vite-files.js";
+import {collectPages, pagesDir, stripFrontMatter} from "./scripts/generate-pages.js";
+import {VIEWS_DIR, dataFileFor, loadTemplateData} from "./scripts/template-data.js";
+import {feConfig, resolveGlob, resolvePath} from "./scripts/fe-config.js";
+import {readFontMetadata} from "./scripts/font-metadata.js";
+import {collectContentCodePoints, formatUnicodeRange, parseUnicodeRange} from "./scripts/font-subset.js";
+import {analyzeBundle, renderBundleReportHtml} from "./scripts/bundle-report.js";
+import {collectContentTokens, findDynamicCandidates, findJsOnlySelectors, matchesMustKeep} from "./scripts/purgecss-report.js";
 
-const multiPageDevPlugin = () => ({
+/**
+ * Maps a request path to a page the way htmlEntries names them:
+ * `/help-center`, `/help-center/` and `/help-center.html` resolve to
+ * `help-center`, `/help-center/faq` to `help-center-faq`. A folder URL
+ * also falls back to its `index.html` (`help-center-index`).
+ */
+const resolvePageFile = (pathname) => {
+    const name = pathname
+        .replace(/\.html$/, '')
+        .split('/')
+        .filter(Boolean)
+        .join('-') || 'index'
+
+    const file = htmlEntries[name] || htmlEntries[`${name}-index`]
+    return file && fs.existsSync(file) ? file : null
+}
+
+const isPageRequest = (req, pathname) => {
+    if (pathname.startsWith('/@') || pathname.startsWith('/__')) {
+        return false
+    }
+    if (!/\.html$/.test(pathname) && /\.[^/]+$/.test(pathname)) {
+        return false
+    }
+    const accept = req.headers.accept || ''
+    return accept.includes('text/html') || accept.includes('*/*')
+}
+
+/**
+ * @param {{notFoundPage?: string}} options - page served with a 404 status
+ * for unmatched routes, relative to the project root
+ */
+const multiPageDevPlugin = ({notFoundPage = `${feConfig.src.pages}/404.html`} = {}) => ({
     name: 'vite-plugin-multi-page-dev-rewrite',
     configureServer(server) {
+        const toRootUrl = file => '/' + path.relative(server.config.root, file).replace(/\\/g, '/')
+
+        const serveNotFound = async (req, res, next) => {
+            const file = path.resolve(server.config.root, notFoundPage)
+            if (!fs.existsSync(file)) {
+                return next()
+            }
+
+            try {
+                const html = await server.transformIndexHtml(
+                    toRootUrl(file),
+                    await fs.promises.readFile(file, 'utf-8'),
+                    req.originalUrl
+                )
+                res.statusCode = 404
+                res.setHeader('Content-Type', 'text/html')
+                res.setHeader('Cache-Control', 'no-cache')
+                res.end(html)
+            } catch (err) {
+                next(err)
+            }
+        }
+
         server.middlewares.use((req, res, next) => {
             if (req.method !== 'GET') {
                 return next()
             }
 
-            if (req.url === '/') {
-                req.url = '/index.html'
+            const {pathname, search} = new URL(req.url, 'http://localhost')
+            if (!isPageRequest(req, pathname)) {
+                return next()
+            }
+
+            const file = resolvePageFile(decodeURIComponent(pathname))
+            if (file) {
+                req.url = toRootUrl(file) + search
+                return next()
             }
 
-            const match = req.url.match(/^\/([\w-]+)\.html$/)
-            if (!match) {
+            // Real files (e.g. exported components in public/) are served as they are
+            const existing = [server.config.root, server.config.publicDir]
+                .filter(Boolean)
+                .map(dir => path.join(dir, decodeURIComponent(pathname)))
+            if (existing.some(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile())) {
                 return next()
             }
 
-            const name = match[1]
-            const file = htmlEntries[name]
-            if (file && fs.existsSync(file)) {
-                req.url = '/' + path.relative(server.config.root, file).replace(/\\/g, '/')
+            return serveNotFound(req, res, next)
+        })
+    }
+})
+
+/**
+ * Serves the search suggestions endpoint from a JSON fixture on the dev
+ * server, so the search typeahead works without the .NET backend. Answers
+ * `GET <endpoint>?q=<query>` with `{query, suggestions}`: fixture entries
+ * whose label contains the query, those starting with it first. The fixture
+ * (an array of `{label, url?, category?}`) is read on every request, so edits
+ * apply without a restart. Register it before multiPageDevPlugin, whose 404
+ * page would otherwise answer the extensionless endpoint.
+ *
+ * @param {{endpoint?: string, fixture?: string, limit?: number, delay?: number}} options -
+ * `fixture` is relative to the project root; `delay` simulates network latency in ms
+ */
+const searchSuggestionsMockPlugin = ({
+    endpoint = '/api/search/suggestions',
+    fixture = 'src/mocks/search-suggestions.json',
+    limit = 8,
+    delay = 0
+} = {}) => ({
+    name: 'vite-plugin-search-suggestions-mock',
+    apply: 'serve',
+    configureServer(server) {
+        server.middlewares.use(endpoint, async (req, res, next) => {
+            if (req.method !== 'GET') {
+                return next()
+            }
+
+            try {
+                const params = new URL(req.url, 'http://localhost').searchParams
+                const query = (params.get('q') || '').trim()
+                const needle = query.toLowerCase()
+                const entries = JSON.parse(await fs.promises.readFile(path.resolve(server.config.root, fixture), 'utf-8'))
+
+                const rank = label => {
+                    const text = label.toLowerCase()
+                    if (text.startsWith(needle)) return 0
+                    if (text.includes(` ${needle}`)) return 1
+                    return text.includes(needle) ? 2 : -1
+                }
+                const suggestions = needle
+                    ? entries
+                        .map(entry => ({entry, rank: rank(entry.label)}))
+                        .filter(({rank}) => rank !== -1)
+                        .sort((a, b) => a.rank - b.rank || a.entry.label.localeCompare(b.entry.label))
+                        .slice(0, Number(params.get('limit')) || limit)
+                        .map(({entry}) => entry)
+                    : []
+
+                if (delay) {
+                    await new Promise(resolve => setTimeout(resolve, delay))
+                }
+                res.setHeader('Content-Type', 'application/json')
+                res.setHeader('Cache-Control', 'no-cache')
+                res.end(JSON.stringify({query, suggestions}))
+            } catch (err) {
+                next(err)
             }
-            return next()
         })
     }
 })
 
+/**
+ * Watches src/views/pages recursively through the dev server's watcher and
+ * rebuilds the page tree in memory once a burst of events settles. htmlEntries
+ * are refreshed, `onUpdate` receives the new tree, and the browser reloads
+ * when pages were added/removed or their metadata changed. pages.json on disk
+ * is left alone: vite.config.js imports it, so writing it would restart Vite.
+ *
+ * @param {{delay?: number, onUpdate?: (pages: object[]) => void}} options
+ */
+const pagesWatchPlugin = ({delay = 150, onUpdate} = {}) => ({
+    name: 'vite-plugin-pages-watch',
+    apply: 'serve',
+    configureServer(server) {
+        let timer = null;
+        let structureChanged = false;
+        let lastPages = JSON.stringify(collectPages(pagesDir));
+
+        const rebuild = () => {
+            timer = null;
+            try {
+                const pages = collectPages(pagesDir);
+                const serialized = JSON.stringify(pages);
+
+                if (structureChanged) {
+                    refreshHtmlEntries();
+                }
+
+                if (structureChanged || serialized !== lastPages) {
+                    onUpdate?.(pages);
+                    server.ws.send({type: 'full-reload'});
+                }
+
+                lastPages = serialized;
+            } catch (err) {
+                server.config.logger.error(`[vite-plugin-pages-watch] ${err.message}`);
+            } finally {
+                structureChanged = false;
+            }
+        };
+
+        const schedule = (event, file) => {
+            if (!file.startsWith(pagesDir) || !file.endsWith('.html')) {
+                return;
+            }
+            if (event !== 'change') {
+                structureChanged = true;
+            }
+            clearTimeout(timer);
+            timer = setTimeout(rebuild, delay);
+        };
+
+        server.watcher.add(pagesDir);
+        ['add', 'unlink', 'change'].forEach(event => {
+            server.watcher.on(event, file => schedule(event, path.resolve(file)));
+        });
+    }
+})
+
+/**
+ * Watches the JSON files under src/views (data.json, pages.json and the
+ * per-page/per-component `*.data.json` files) during dev. Once a burst of
+ * changes settles, `onChange` receives the changed files so the Nunjucks
+ * variables can be rebuilt, and the browser reloads. vite.config.js reads
+ * these files at runtime instead of importing them, so Vite does not restart.
+ *
+ * @param {{delay?: number, onChange?: (files: string[]) => void}} options
+ */
+const templateDataWatchPlugin = ({delay = 150, onChange} = {}) => ({
+    name: 'vite-plugin-template-data-watch',
+    apply: 'serve',
+    configureServer(server) {
+        let timer = null;
+        const changedFiles = new Set();
+
+        const reload = () => {
+            timer = null;
+            const files = [...changedFiles];
+            changedFiles.clear();
+
+            try {
+                onChange?.(files);
+                files.forEach(file => {
+                    server.config.logger.info(
+                        `${ansi.green('data changed')} ${ansi.dim(path.relative(server.config.root, file))}`,
+                        {timestamp: true}
+                    );
+                });
+                server.ws.send({type: 'full-reload'});
+            } catch (err) {
+                server.config.logger.error(`[vite-plugin-template-data-watch] ${err.message}`);
+            }
+        };
+
+        const schedule = file => {
+            if (!file.startsWith(VIEWS_DIR) || !file.endsWith('.json')) {
+                return;
+            }
+            changedFiles.add(file);
+            clearTimeout(timer);
+            timer = setTimeout(reload, delay);
+        };
+
+        server.watcher.add(VIEWS_DIR);
+        ['add', 'unlink', 'change'].forEach(event => {
+            server.watcher.on(event, file => schedule(path.resolve(file)));
+        });
+    }
+})
+
+/**
+ * Nunjucks environment for dev pages in which a component template with a
+ * `<name>.data.json` next to it renders with that file deep-merged over the
+ * variables of the page including it. Component data stays scoped to its
+ * component, as when generate-components.js renders it, rather than every
+ * page getting every component's data.
+ */
+const createComponentDataEnvironment = () => {
+    const componentsDir = resolvePath(feConfig.src.components)
+    const env = new nunjucksLib.Environment(new nunjucksLib.FileSystemLoader(process.cwd(), {noCache: true}))
+    const scoped = new WeakSet()
+
+    const withComponentData = (template) => {
+        if (!template?.path || scoped.has(template) || !path.resolve(template.path).startsWith(componentsDir + path.sep)) {
+            return template
+        }
+        scoped.add(template)
+
+        const render = template.render.bind(template)
+        template.render = (context, ...rest) => render(
+            context && typeof context === 'object' && fs.existsSync(dataFileFor(template.path))
+                ? loadTemplateData(template.path, context)
+                : context,
+            ...rest
+        )
+        return template
+    }
+
+    // Includes and imports resolve templates through getTemplate with a callback
+    const getTemplate = env.getTemplate.bind(env)
+    env.getTemplate = (...args) => {
+        const callbackIndex = args.findIndex(arg => typeof arg === 'function')
+        if (callbackIndex === -1) {
+            return withComponentData(getTemplate(...args))
+        }
+        const callback = args[callbackIndex]
+        args[callbackIndex] = (error, template) => callback(error, template && withComponentData(template))
+        return getTemplate(...args)
+    }
+
+    return env
+}
+
+/**
+ * vite-plugin-nunjucks looks variables up by the page's file name, so nested
+ * pages like help-center/index.html and index.html would share them. This
+ * wraps it to look them up by page name instead, as htmlEntries names pages,
+ * and renders with createComponentDataEnvironment plus `filters`.
+ */
+const nunjucksPagesPlugin = ({filters = {}, ...options}) => {
+    const env = createComponentDataEnvironment()
+    Object.entries(filters).forEach(([name, filter]) => env.addFilter(name, filter))
+
+    const plugin = nunjucks({...options, nunjucksEnvironment: env})
+    const {handler} = plugin.transformIndexHtml
+
+    return {
+        ...plugin,
+        transformIndexHtml: {
+            ...plugin.transformIndexHtml,
+            handler: (html, context) => handler(html, {...context, path: toPageName(context.filename)})
+        }
+    }
+}
+
+/**
+ * Strips the page front-matter block before Nunjucks renders the page,
+ * so a bare `---` block never ends up in the served HTML
+ */
+const pageFrontMatterPlugin = () => ({
+    name: 'vite-plugin-page-front-matter',
+    enforce: 'pre',
+    transformIndexHtml: {
+        order: 'pre',
+        handler: html => stripFrontMatter(html)
+    }
+})
+
 const removeEmptyJsChunksPlugin = () => ({
     name: 'vite-plugin-remove-empty-js-chunks',
     generateBundle(_, bundle) {
@@ -49,6 +369,295 @@ const removeEmptyJsChunksPlugin = () => ({
     }
 })
 
+/**
+ * @typedef {Object} PurgeCssReportOptions
+ * @property {Map<string, {removed: string[], kept: string[]}>} results - filled by purgeCssWithReport while CSS is processed
+ * @property {import('purgecss').UserDefinedOptions} purgeOptions - the PurgeCSS options, used to find JS-only selectors
+ * @property {(string|RegExp)[]} [mustKeep] - selectors or class names that must survive; the build fails if one is purged
+ * @property {string|false} [output] - JSON report path relative to the project root; `false` only checks `mustKeep`
+ */
+
+/**
+ * Reports the selectors PurgeCSS removed from each output CSS file, flags
+ * selectors that only exist because JS adds them (their classes appear in
+ * script strings but no template) and purged selectors matching a class
+ * prefix JS builds at runtime, and fails the build when a `mustKeep`
+ * selector was purged.
+ *
+ * @param {PurgeCssReportOptions} options
+ */
+const purgeCssReportPlugin = ({results, purgeOptions, mustKeep = [], output = false}) => ({
+    name: 'vite-plugin-purgecss-report',
+    apply: 'build',
+    generateBundle(_, bundle) {
+        // Attribute each stylesheet's results to the CSS files its chunks emitted
+        const files = new Map();
+        const addTo = (fileName, source) => {
+            if (!files.has(fileName)) {
+                files.set(fileName, new Set());
+            }
+            files.get(fileName).add(source);
+        };
+        const attributed = new Set();
+        Object.values(bundle).forEach(chunk => {
+            if (chunk.type !== 'chunk' || !chunk.viteMetadata) {
+                return;
+            }
+            chunk.moduleIds.map(id => id.split('?')[0]).filter(id => results.has(id)).forEach(id => {
+                chunk.viteMetadata.importedCss.forEach(fileName => addTo(fileName, id));
+                attributed.add(id);
+            });
+        });
+        [...results.keys()].filter(id => !attributed.has(id)).forEach(id => {
+            addTo(path.relative(process.cwd(), id).replace(/\\/g, '/'), id);
+        });
+
+        const tokens = output ? collectContentTokens(purgeOptions) : null;
+        const violations = [];
+        const report = {};
+        [...files.keys()].sort().forEach(fileName => {
+            const removed = [...new Set([...files.get(fileName)].flatMap(id => results.get(id).removed))].sort();
+            const kept = [...new Set([...files.get(fileName)].flatMap(id => results.get(id).kept))].sort();
+
+            removed
+                .filter(selector => mustKeep.some(entry => matchesMustKeep(selector, entry)))
+                .forEach(selector => violations.push(`${fileName}: ${selector}`));
+
+            if (tokens) {
+                report[fileName] = {
+                    sources: [...files.get(fileName)].map(id => path.relative(process.cwd(), id).replace(/\\/g, '/')).sort(),
+                    kept: kept.length,
+                    removed,
+                    jsOnly: findJsOnlySelectors(kept, tokens),
+                    dynamicCandidates: findDynamicCandidates(removed, tokens)
+                };
+            }
+        });
+
+        if (output) {
+            const outputPath = path.resolve(output);
+            fs.mkdirSync(path.dirname(outputPath), {recursive: true});
+            fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
+
+            console.log()
+            console.log(ansi.cyan('[vite-plugin-purgecss-report]'), '- selectors per CSS file:')
+            Object.entries(report).forEach(([fileName, {kept, removed, jsOnly, dynamicCandidates}]) => {
+                console.log(
+                    ansi.blueBright(fileName.padEnd(48)),
+                    ansi.grey('kept'), String(kept).padStart(5),
+                    ansi.grey('purged'), String(removed.length).padStart(5),
+                    ansi.grey('js-only'), ansi.yellow(String(jsOnly.length).padStart(4)),
+                    ansi.grey('dynamic?'), ansi.yellow(String(dynamicCandidates.length).padStart(4))
+                );
+            })
+            console.log(ansi.grey('report:'), ansi.blueBright(output))
+            console.log()
+        }
+
+        if (violations.length) {
+            this.error(`PurgeCSS removed ${violations.length} must-keep selector(s):\n  ${violations.join('\n  ')}\n` +
+                'Add them to the safelist in scripts/purgecss-options.js or reference them from a template.');
+        }
+    }
+})
+
+/**
+ * Writes a manifest mapping each entry (`global`, `Hero`, `Header`...) to the
+ * URLs of its JS, its CSS and the shared chunks it imports, so the Razor views
+ * can resolve hashed file names and emit modulepreload links. Runs after
+ * removeEmptyJsChunksPlugin, so CSS-only entries get `js: null`.
+ *
+ * @param {{fileName?: string}} options - manifest path inside the output directory
+ */
+const assetManifestPlugin = ({fileName = 'manifest.json'} = {}) => {
+    let base = '/';
+    let entryNames = new Map();
+
+    return {
+        name: 'vite-plugin-asset-manifest',
+        apply: 'build',
+        configResolved(config) {
+            base = config.base.endsWith('/') ? config.base : `${config.base}/`;
+        },
+        buildStart(options) {
+            entryNames = toEntryNames(options.input);
+        },
+        generateBundle(_, bundle) {
+            const url = file => `${base}${file}`;
+            const manifest = Object.fromEntries(
+                Object.entries(collectBundleEntries(bundle, entryNames)).map(([name, {js, css, imports}]) => [name, {
+                    js: js && url(js),
+                    css: css.map(url),
+                    imports: imports.map(url)
+                }])
+            );
+
+            this.emitFile({
+                type: 'asset',
+                fileName,
+                source: JSON.stringify(manifest, null, 2)
+            });
+        }
+    };
+}
+
+/**
+ * @typedef {Object} SizeBudget
+ * @property {number} [gzip] - max gzip size in kB
+ * @property {number} [brotli] - max brotli size in kB
+ */
+
+/**
+ * Prints the raw, gzip and brotli size of every entry (its JS, the shared
+ * chunks it imports and its CSS) with the change since the previous build,
+ * and fails the build when an entry exceeds its budget. Budgets are keyed by
+ * entry name; `default` applies to entries without their own. The sizes are
+ * saved to `history` only when every entry is within budget. With `dryRun`
+ * (a PurgeCSS dry run, whose CSS is not purged) an exceeded budget is only a
+ * warning and the history is left alone, as those sizes are no baseline.
+ *
+ * @param {{budgets?: Object<string, SizeBudget>, history?: string|false, dryRun?: boolean}} options - `history` is
+ * the JSON file the sizes are saved to and compared with, relative to the project root
+ */
+const sizeBudgetPlugin = ({budgets = {}, history = false, dryRun = false} = {}) => {
+    let entryNames = new Map();
+
+    return {
+        name: 'vite-plugin-size-budget',
+        apply: 'build',
+        buildStart(options) {
+            entryNames = toEntryNames(options.input);
+        },
+        generateBundle(_, bundle) {
+            const source = file => {
+                const output = bundle[file];
+                return output.type === 'chunk' ? output.code : output.source;
+            };
+            const measure = files => files.reduce((total, file) => {
+                const buffer = Buffer.from(source(file));
+                return {
+                    raw: total.raw + buffer.length,
+                    gzip: total.gzip + zlib.gzipSync(buffer, {level: 9}).length,
+                    brotli: total.brotli + zlib.brotliCompressSync(buffer).length
+                };
+            }, {raw: 0, gzip: 0, brotli: 0});
+
+            const sizes = Object.fromEntries(
+                Object.entries(collectBundleEntries(bundle, entryNames)).map(([name, {js, css, imports}]) =>
+                    [name, measure([js, ...imports, ...css].filter(Boolean))])
+            );
+
+            const historyPath = history && path.resolve(history);
+            const previous = historyPath && fs.existsSync(historyPath)
+                ? JSON.parse(fs.readFileSync(historyPath, 'utf8'))
+                : {};
+
+            const exceeded = [];
+            const kB = bytes => (bytes / 1024).toFixed(1);
+            const delta = (current, before) => {
+                if (before === undefined) return ansi.grey('new'.padStart(9));
+                const diff = current - before;
+                const text = `${diff > 0 ? '+' : ''}${formatBytes(diff)}`.padStart(9);
+                return diff > 0 ? ansi.yellow(text) : diff < 0 ? ansi.green(text) : ansi.grey(text);
+            };
+
+            console.log()
+            console.log(ansi.cyan('[vite-plugin-size-budget]'), '- entry sizes (JS + imported chunks + CSS):')
+            console.log(ansi.grey([
+                'entry'.padEnd(24), 'raw'.padStart(10), 'gzip'.padStart(10), 'brotli'.padStart(10),
+                'Δ gzip'.padStart(9), '  budget (gzip / brotli)'
+            ].join(' ')))
+            Object.entries(sizes).forEach(([name, size]) => {
+                const budget = budgets[name] || budgets.default || {};
+                const over = ['gzip', 'brotli'].filter(type => budget[type] !== undefined && size[type] > budget[type] * 1024);
+                over.forEach(type => exceeded.push(`${name}: ${type} ${kB(size[type])} kB > ${budget[type]} kB`));
+
+                const budgetText = budget.gzip !== undefined || budget.brotli !== undefined
+                    ? `${budget.gzip ?? '-'} / ${budget.brotli ?? '-'} kB`
+                    : '-';
+                console.log([
+                    ansi.blueBright(name.padEnd(24)),
+                    `${kB(size.raw)} kB`.padStart(10),
+                    `${kB(size.gzip)} kB`.padStart(10),
+                    `${kB(size.brotli)} kB`.padStart(10),
+                    delta(size.gzip, previous[name]?.gzip),
+                    ' ',
+                    over.length ? ansi.red(budgetText) : ansi.grey(budgetText)
+                ].join(' '));
+            })
+            console.log()
+
+            if (dryRun) {
+                if (exceeded.length) {
+                    this.warn(`Size budget exceeded for ${exceeded.length} entr${exceeded.length === 1 ? 'y' : 'ies'} in a dry run, ` +
+                        `not failing the build:\n  ${exceeded.join('\n  ')}`);
+                }
+                return;
+            }
+
+            if (exceeded.length) {
+                this.error(`Size budget exceeded for ${exceeded.length} entr${exceeded.length === 1 ? 'y' : 'ies'}:\n  ${exceeded.join('\n  ')}\n` +
+                    'Reduce the bundle or raise its budget in fe.config.js.');
+            }
+
+            // Only builds within budget become the baseline for the next comparison
+            if (historyPath) {
+                fs.mkdirSync(path.dirname(historyPath), {recursive: true});
+                fs.writeFileSync(historyPath, JSON.stringify(sizes, null, 2));
+            }
+        }
+    };
+}
+
+/**
+ * Writes a bundle composition report: for every entry, the npm packages and
+ * source modules in its JS and in the shared chunks it imports, plus the
+ * modules several entries pull in and packages bundled from more than one
+ * location. Module sizes are measured before minification, so compare them
+ * with each other rather than with the emitted files.
+ *
+ * @param {{output?: string}} options - report path without extension, relative to
+ * the project root; `.json` and `.html` are written next to each other
+ */
+const bundleReportPlugin = ({output = 'reports/bundle-report'} = {}) => {
+    let entryNames = new Map();
+
+    return {
+        name: 'vite-plugin-bundle-report',
+        apply: 'build',
+        buildStart(options) {
+            entryNames = toEntryNames(options.input);
+        },
+        generateBundle(_, bundle) {
+            const report = analyzeBundle(bundle, collectBundleEntries(bundle, entryNames));
+            const outputPath = path.resolve(output);
+            fs.mkdirSync(path.dirname(outputPath), {recursive: true});
+            fs.writeFileSync(`${outputPath}.json`, JSON.stringify(report, null, 2));
+            fs.writeFileSync(`${outputPath}.html`, renderBundleReportHtml(report));
+
+            console.log()
+            console.log(ansi.cyan('[vite-plugin-bundle-report]'), '- emitted JS per entry, then its packages before minification:')
+            Object.entries(report.entries).forEach(([name, {outputBytes, packages, chunks}]) => {
+                console.log(
+                    ansi.blueBright(name.padEnd(24)),
+                    formatBytes(outputBytes).padStart(9),
+                    ansi.grey(packages.map(pkg => `${pkg.name} ${formatBytes(pkg.bytes)}`).join(', ') || '-'),
+                    chunks.length ? ansi.grey(`(+${chunks.length} shared)`) : ''
+                );
+            })
+            const {modules, packages} = report.duplicates;
+            if (modules.length) {
+                console.log(ansi.yellow('in several chunks:'), modules.map(item => item.module).join(', '))
+            }
+            if (packages.length) {
+                console.log(ansi.yellow('bundled from several locations:'), packages.map(item => item.package).join(', '))
+            }
+            console.log(ansi.grey('report:'), ansi.blueBright(`${output}.html`))
+            console.log()
+        }
+    };
+}
+
 const logSuccess = (type, fileName, format) => {
     const msg = [
         ansi.cyan(type),
@@ -62,12 +671,41 @@ const logSuccess = (type, fileName, format) => {
 
 /**
  * @typedef {import('sharp').WebpOptions} WebpOptions
+ * @typedef {import('sharp').AvifOptions} AvifOptions
  */
 
 /**
+ * @typedef {Object} ImagePipelineOptions
+ * @property {number} [concurrency] - images processed at once, defaults to the CPU count minus one
+ * @property {string} [cacheDir] - where converted images are cached by content hash between builds
+ * @property {AvifOptions|false} [avif] - also emit `.avif` siblings, `false` to skip
+ * @property {number[]} [widths] - responsive widths emitted as `name-480w.ext` in every format;
+ * widths larger than the source are skipped
+ * @property {string|false} [manifest] - JSON manifest of the variants, relative to the output directory
+ */
+
+/**
+ * Converts JPEG/PNG images in the output to WebP (and optionally AVIF), plus
+ * resized copies at each configured width, and writes a manifest of the
+ * variants with their dimensions. Results are cached by a hash of the source
+ * bytes and the encoder options, so unchanged images are copied from the cache
+ * even though `build:public` empties the output directory each time.
+ *
  * @param {WebpOptions} webpOptions
+ * @param {ImagePipelineOptions} options
  */
-const publicImageWebpPlugin = (webpOptions) => {
+const publicImageWebpPlugin = (webpOptions, {
+    concurrency = Math.max(1, os.cpus().length - 1),
+    cacheDir = path.resolve('node_modules/.cache/vite-plugin-public-image-webp'),
+    avif = false,
+    widths = [],
+    manifest = false
+} = {}) => {
+    const targetFormats = [
+        {format: 'webp', options: webpOptions || {}},
+        ...(avif ? [{format: 'avif', options: avif === true ? {} : avif}] : [])
+    ];
+
     return {
         name: 'vite-plugin-public-image-webp-converter',
         apply: 'build',
@@ -84,50 +722,190 @@ const publicImageWebpPlugin = (webpOptions) => {
                 /\.(jpe?g|png)$/i.test(path.extname(file))
             );
 
-            const successfullyConverted = [];
+            await fs.promises.mkdir(cacheDir, {recursive: true});
 
-            for (const imgPath of imagesToConvert) {
+            const encode = async (buffer, width, format, options) => {
+                const hash = crypto.createHash('sha1')
+                    .update(buffer)
+                    .update(JSON.stringify({width, format, options}))
+                    .digest('hex');
+                const cachedPath = path.join(cacheDir, `${hash}.${format}`);
+
+                if (fs.existsSync(cachedPath)) {
+                    return {buffer: await fs.promises.readFile(cachedPath), cached: true};
+                }
+
+                const pipeline = width ? sharp(buffer).resize({width, withoutEnlargement: true}) : sharp(buffer);
+                const output = await pipeline.toFormat(format, options).toBuffer();
+                await fs.promises.writeFile(cachedPath, output);
+                return {buffer: output, cached: false};
+            };
+
+            const results = await runPool(imagesToConvert, concurrency, async (imgPath) => {
                 try {
-                    const buffer = fs.readFileSync(imgPath);
-                    const webpName = imgPath.replace(/\.(jpe?g|png)$/i, '.webp');
-
-                    if (fs.existsSync(webpName)) {
-                        const srcStat = fs.statSync(imgPath);
-                        const webpStat = fs.statSync(webpName);
-                        if (webpStat.mtimeMs >= srcStat.mtimeMs) {
-                            continue;
-                        }
+                    const buffer = await fs.promises.readFile(imgPath);
+                    const metadata = await sharp(buffer).metadata();
+                    const extension = path.extname(imgPath);
+                    const base = imgPath.slice(0, -extension.length);
+                    const sourceFormat = metadata.format;
+
+                    const variantSpecs = [
+                        ...targetFormats.map(target => ({...target, width: null, ext: `.${target.format}`})),
+                        ...widths
+                            .filter(width => width < metadata.width)
+                            .flatMap(width => [
+                                {format: sourceFormat, options: {}, width, ext: extension},
+                                ...targetFormats.map(target => ({...target, width, ext: `.${target.format}`}))
+                            ])
+                    ];
+
+                    const variants = [];
+                    for (const {format, options, width, ext} of variantSpecs) {
+                        const {buffer: output, cached} = await encode(buffer, width, format, options);
+                        const file = width ? `${base}-${width}w${ext}` : `${base}${ext}`;
+                        await fs.promises.writeFile(file, output);
+                        logSuccess('Image', path.basename(imgPath), path.basename(file) + (cached ? ' (cached)' : ''));
+
+                        variants.push({
+                            file,
+                            format,
+                            width: width || metadata.width,
+                            height: width ? Math.round(metadata.height * width / metadata.width) : metadata.height,
+                            size: output.length,
+                            cached
+                        });
                     }
 
-                    await sharp(buffer)
-                        .webp(webpOptions)
-                        .toFile(webpName);
-                    logSuccess('Image', imgPath.split('\\').pop(), '.webp');
-                    successfullyConverted.push(webpName);
+                    return {
+                        file: imgPath,
+                        format: sourceFormat,
+                        width: metadata.width,
+                        height: metadata.height,
+                        originalSize: buffer.length,
+                        variants
+                    };
                 } catch (err) {
                     this.error(`Failed to convert ${imgPath} → .webp:\n${err}`);
                 }
-            }
+            });
 
             process.stdout.write('\x1b[2K\r');
 
+            const toPublicPath = file => path.relative(outDirRoot, file).replace(/\\/g, '/');
+
+            if (manifest) {
+                const manifestPath = path.resolve(outDirRoot, manifest);
+                const entries = Object.fromEntries(results.map(result => [
+                    '/' + toPublicPath(result.file),
+                    {
+                        format: result.format,
+                        width: result.width,
+                        height: result.height,
+                        variants: result.variants.map(({file, format, width, height}) => ({
+                            src: '/' + toPublicPath(file),
+                            format,
+                            width,
+                            height
+                        }))
+                    }
+                ]));
+                await fs.promises.mkdir(path.dirname(manifestPath), {recursive: true});
+                await fs.promises.writeFile(manifestPath, JSON.stringify(entries, null, 2));
+            }
+
+            const fullSizeWebp = result => result.variants.find(variant => variant.format === 'webp' && variant.width === result.width);
+            const variantCount = results.reduce((sum, result) => sum + result.variants.length, 0);
+            const cachedCount = results.reduce((sum, result) => sum + result.variants.filter(variant => variant.cached).length, 0);
+            const totalSaved = results.reduce((sum, result) => sum + result.originalSize - fullSizeWebp(result).size, 0);
+
             console.log()
             console.log(ansi.cyan('[vite-plugin-public-image-webp-converter]'),
                 '- converted',
-                successfullyConverted.length,
-                'images to WebP format successfully:'
+                results.length,
+                'images into',
+                variantCount,
+                'variants successfully',
+                ansi.grey(`(${cachedCount} from cache, ${formatBytes(totalSaved)} saved as WebP):`)
             )
-            successfullyConverted.forEach(img => {
+            results.forEach(result => {
+                const webp = fullSizeWebp(result);
+                const saved = result.originalSize - webp.size;
+                const percent = result.originalSize ? Math.round(saved / result.originalSize * 100) : 0;
                 console.log(ansi.grey('public') +
                     '/' +
-                    ansi.blueBright(path.relative(outDirRoot, img).replace(/\\/g, '/')));
+                    ansi.blueBright(toPublicPath(webp.file)),
+                    ansi.grey(`${formatBytes(result.originalSize)} → ${formatBytes(webp.size)}`),
+                    saved >= 0 ? ansi.green(`-${percent}%`) : ansi.yellow(`+${-percent}%`),
+                    result.variants.length > 1 ? ansi.grey(`+${result.variants.length - 1} variants`) : '',
+                    webp.cached ? ansi.grey('cached') : ''
+                );
             })
+            if (manifest) {
+                console.log(ansi.grey('manifest:'), ansi.blueBright(manifest));
+            }
             console.log()
         }
     };
 }
 
-const publicFontConverterPlugin = () => ({
+/**
+ * @typedef {import('./scripts/font-metadata.js').FontMetadata} FontMetadata
+ */
+
+/**
+ * @typedef {Object} FontConverterOptions
+ * @property {('woff2'|'woff'|'eot')[]} [formats] - web formats generated next to each source font;
+ * `woff` and `eot` are only needed for legacy browsers, and `eot` only applies to `.ttf` sources
+ * @property {string|false} [scss] - SCSS file the `@font-face` rules are written to, relative to the project root
+ * @property {string} [fontsUrl] - URL the fonts are served from, used in the generated `src` descriptors
+ * @property {string} [fontDisplay] - `font-display` value for every face
+ * @property {(font: FontMetadata) => string} [familyName] - `font-family` name for a face, defaults to the font's family
+ * @property {FontSubsetOptions|false} [subset] - also emit subset woff2 files with `unicode-range` descriptors
+ */
+
+/**
+ * @typedef {Object} FontSubsetOptions
+ * @property {Object<string, string>} ranges - subset name → `unicode-range`, e.g. `{latin: 'U+0000-00FF'}`;
+ * each subset is written as `name.<subset>.woff2`
+ * @property {string[]} [content] - globs of templates and data files, relative to the project root; when
+ * set, each range is narrowed to the characters those files actually use (plus printable ASCII)
+ * @property {boolean} [fallback] - keep the full font as a face without `unicode-range`, so characters
+ * outside the subsets (e.g. from CMS content) still render in the web font. Defaults to `true`
+ */
+
+const FONT_FORMATS = {
+    woff2: {
+        convert: buffer => Buffer.from(ttf2woff2(buffer)),
+        format: font => font.variable ? ['woff2-variations', 'woff2'] : ['woff2']
+    },
+    woff: {
+        convert: buffer => Buffer.from(ttf2woff(buffer).buffer),
+        format: font => font.variable ? ['woff-variations', 'woff'] : ['woff']
+    },
+    eot: {
+        convert: buffer => Buffer.from(ttf2eot(buffer).buffer),
+        format: () => ['embedded-opentype']
+    }
+};
+
+const FONT_SOURCE_PATTERN = /\.(ttf|otf)$/i;
+
+/**
+ * Converts `.ttf`/`.otf` fonts in the output to web formats and, with `scss`,
+ * generates the matching `@font-face` rules from each font's own name and
+ * OS/2 tables. Variable fonts get a weight (and stretch) range from their
+ * `wght` (and `wdth`) axes instead of a single value.
+ *
+ * @param {FontConverterOptions} options
+ */
+const publicFontConverterPlugin = ({
+    formats = ['woff2'],
+    scss = false,
+    fontsUrl = '/fonts',
+    fontDisplay = 'swap',
+    familyName = font => font.family,
+    subset = false
+} = {}) => ({
     name: 'vite-plugin-public-font-converter',
     apply: 'build',
     async writeBundle(outputOptions) {
@@ -139,46 +917,85 @@ const publicFontConverterPlugin = () => ({
             return;
         }
 
-        const allFiles = await fs.promises.readdir(fontsDir);
+        const unknownFormats = formats.filter(format => !FONT_FORMATS[format]);
+        if (unknownFormats.length) {
+            this.error(`Unknown font format(s): ${unknownFormats.join(', ')}. Expected ${Object.keys(FONT_FORMATS).join(', ')}`);
+        }
+
+        let subsetRanges = [];
+        if (subset) {
+            const contentCodePoints = subset.content ? collectContentCodePoints(subset.content.map(resolveGlob)) : null;
+            try {
+                subsetRanges = Object.entries(subset.ranges || {}).map(([name, range]) => {
+                    const codePoints = [...parseUnicodeRange(range)]
+                        .filter(codePoint => !contentCodePoints || contentCodePoints.has(codePoint));
+                    return {name, codePoints};
+                }).filter(({codePoints}) => codePoints.length > 0);
+            } catch (e) {
+                this.error(`Invalid subset ranges:\n${e.message}`);
+            }
+        }
+
+        const allFiles = (await fs.promises.readdir(fontsDir)).filter(filename => FONT_SOURCE_PATTERN.test(filename)).sort();
         const successfullyConverted = [];
+        const faces = [];
+        let fullSize = 0;
+        let subsetSize = 0;
         for (const filename of allFiles) {
-            if (filename.toLowerCase().endsWith('.ttf')) {
-                const ttfPath = path.join(fontsDir, filename);
-                const ttfBuffer = await fs.promises.readFile(ttfPath);
+            const fontPath = path.join(fontsDir, filename);
+            const fontBuffer = await fs.promises.readFile(fontPath);
 
-                try {
-                    const woffBuf = Buffer.from(ttf2woff(ttfBuffer).buffer);
-                    const woffName = filename.replace(/\.ttf$/i, '.woff');
-                    const woffPath = path.join(fontsDir, woffName);
-                    await fs.promises.writeFile(woffPath, woffBuf);
-                    logSuccess('Font ', filename, '.woff');
-                    successfullyConverted.push(woffPath);
-                } catch (e) {
-                    this.error(`Failed to convert ${filename} → .woff:\n${e}`);
+            let font;
+            try {
+                font = readFontMetadata(fontBuffer);
+            } catch (e) {
+                this.error(`Failed to read ${filename}:\n${e}`);
+            }
+
+            const converted = [];
+            let woff2Size = null;
+            for (const format of formats) {
+                if (format === 'eot' && font.format !== 'truetype') {
+                    this.warn(`Skipping ${filename} → .eot: EOT only supports TrueType outlines`);
+                    continue;
                 }
 
                 try {
-                    const woff2Buf = Buffer.from(ttf2woff2(ttfBuffer));
-                    const woff2Name = filename.replace(/\.ttf$/i, '.woff2');
-                    const woff2Path = path.join(fontsDir, woff2Name);
-                    await fs.promises.writeFile(woff2Path, woff2Buf);
-                    logSuccess('Font ', filename, '.woff2');
-                    successfullyConverted.push(woff2Path);
+                    const outName = filename.replace(FONT_SOURCE_PATTERN, `.${format}`);
+                    const outPath = path.join(fontsDir, outName);
+                    const outBuffer = FONT_FORMATS[format].convert(fontBuffer);
+                    await fs.promises.writeFile(outPath, outBuffer);
+                    if (format === 'woff2') {
+                        woff2Size = outBuffer.length;
+                    }
+                    logSuccess('Font ', filename, `.${format}`);
+                    successfullyConverted.push(outPath);
+                    converted.push(format);
                 } catch (e) {
-                    this.error(`Failed to convert ${filename} → .woff2:\n${e}`);
+                    this.error(`Failed to convert ${filename} → .${format}:\n${e}`);
                 }
+            }
 
+            const subsets = [];
+            for (const {name, codePoints} of subsetRanges) {
                 try {
-                    const eotBuf = Buffer.from(ttf2eot(ttfBuffer).buffer);
-                    const eotName = filename.replace(/\.ttf$/i, '.eot');
-                    const eotPath = path.join(fontsDir, eotName);
-                    await fs.promises.writeFile(eotPath, eotBuf);
-                    logSuccess('Font ', filename, '.eot');
-                    successfullyConverted.push(eotPath);
+                    const subsetBuffer = await subsetFont(fontBuffer, String.fromCodePoint(...codePoints), {targetFormat: 'woff2'});
+                    const outName = filename.replace(FONT_SOURCE_PATTERN, `.${name}.woff2`);
+                    const outPath = path.join(fontsDir, outName);
+                    await fs.promises.writeFile(outPath, subsetBuffer);
+                    logSuccess('Font ', filename, `.${name}.woff2`);
+                    successfullyConverted.push(outPath);
+                    subsets.push({name, unicodeRange: formatUnicodeRange(codePoints)});
+                    subsetSize += subsetBuffer.length;
                 } catch (e) {
-                    this.error(`Failed to convert ${filename} → .eot:\n${e}`);
+                    this.error(`Failed to subset ${filename} → .${name}.woff2:\n${e}`);
                 }
             }
+            if (subsets.length) {
+                fullSize += woff2Size ?? FONT_FORMATS.woff2.convert(fontBuffer).length;
+            }
+
+            faces.push({filename, font, converted, subsets});
         }
 
         process.stdout.write('\x1b[2K\r');
@@ -194,13 +1011,43 @@ const publicFontConverterPlugin = () => ({
                 '/' +
                 ansi.blueBright(path.relative(outDir, font).replace(/\\/g, '/')));
         })
+
+        if (subsetSize) {
+            console.log(ansi.grey('subsets:'),
+                subsetRanges.map(({name}) => ansi.blueBright(name)).join(', '),
+                ansi.grey(`(${formatBytes(subsetSize)} vs ${formatBytes(fullSize)} as full woff2)`));
+        }
+
+        if (scss) {
+            const scssPath = path.resolve(scss);
+            const css = renderFontFaces(faces, {
+                fontsUrl,
+                fontDisplay,
+                familyName,
+                fallback: !subset || subset.fallback !== false
+            });
+            const current = fs.existsSync(scssPath) ? await fs.promises.readFile(scssPath, 'utf8') : null;
+            if (current !== css) {
+                await fs.promises.writeFile(scssPath, css);
+            }
+            console.log(ansi.grey('@font-face:'), ansi.blueBright(scss), ansi.grey(`(${faces.length} faces)`));
+        }
         console.log()
     }
 })
 
 export {
+    assetManifestPlugin,
+    bundleReportPlugin,
     multiPageDevPlugin,
+    nunjucksPagesPlugin,
+    pagesWatchPlugin,
+    templateDataWatchPlugin,
+    pageFrontMatterPlugin,
+    purgeCssReportPlugin,
     removeEmptyJsChunksPlugin,
+    searchSuggestionsMockPlugin,
+    sizeBudgetPlugin,
     publicFontConverterPlugin,
     publicImageWebpPlugin
 };
@@ -217,4 +1064,164 @@ function walkDir(dir, fileList = []) {
         }
     }
     return fileList;
-}
\ No newline at end of file
+}
+
+
+/**
+ * Renders the `@font-face` rules for the converted fonts. Each source is listed
+ * smallest format first; subsets follow the full face because, for overlapping
+ * `unicode-range`s, browsers check the last declared face first.
+ */
+function renderFontFaces(faces, {fontsUrl, fontDisplay, familyName, fallback}) {
+    const baseUrl = fontsUrl.replace(/\/$/, '');
+    const header = [
+        '// ============================================================',
+        '// Base: Fonts',
+        '// Auto-generated by vite-plugin-public-font-converter',
+        '// (`npm run build:public`) from the fonts in src/assets-raw/fonts.',
+        '// DO NOT edit by hand.',
+        '// ============================================================',
+        ''
+    ].join('\n');
+
+    const rule = (font, sources, unicodeRange) => {
+        const wght = font.axes.find(axis => axis.tag === 'wght');
+        const wdth = font.axes.find(axis => axis.tag === 'wdth');
+        const lines = [
+            `  font-family: "${familyName(font)}";`,
+            `  src: ${sources.join(',\n    ')};`,
+            `  font-display: ${fontDisplay};`,
+            `  font-weight: ${wght ? `${wght.min} ${wght.max}` : font.weight};`,
+            `  font-style: ${font.style};`
+        ];
+        if (wdth) {
+            lines.push(`  font-stretch: ${wdth.min}% ${wdth.max}%;`);
+        }
+        if (unicodeRange) {
+            lines.push(`  unicode-range: ${unicodeRange};`);
+        }
+
+        return `@font-face {\n${lines.join('\n')}\n}\n`;
+    };
+
+    const rules = faces.flatMap(({filename, font, converted, subsets}) => {
+        const url = ext => `${baseUrl}/${filename.replace(FONT_SOURCE_PATTERN, ext)}`;
+        const woff2Sources = ext => FONT_FORMATS.woff2.format(font).map(type => `url("${url(ext)}") format("${type}")`);
+        const faceRules = [];
+
+        if (fallback || !subsets.length) {
+            const sources = [];
+            if (converted.includes('eot')) {
+                sources.push(`url("${url('.eot')}?#iefix") format("embedded-opentype")`);
+            }
+            if (converted.includes('woff2')) {
+                sources.push(...woff2Sources('.woff2'));
+            }
+            if (converted.includes('woff')) {
+                FONT_FORMATS.woff.format(font).forEach(type => {
+                    sources.push(`url("${url('.woff')}") format("${type}")`);
+                });
+            }
+            sources.push(`url("${url(path.extname(filename))}") format("${font.format}")`);
+            faceRules.push(rule(font, sources));
+        }
+
+        subsets.forEach(({name, unicodeRange}) => {
+            faceRules.push(rule(font, woff2Sources(`.${name}.woff2`), unicodeRange));
+        });
+
+        return faceRules;
+    });
+
+    return `${header}\n${rules.join('\n')}`;
+}
+
+/**
+ * Maps each input module path to its input key. Rollup sanitizes chunk names
+ * (`Media_&_Text_Block` → `Media___Text_Block`), so entries are named after
+ * their input key instead.
+ */
+function toEntryNames(input) {
+    const entries = Array.isArray(input) || typeof input !== 'object' ? {} : input;
+    return new Map(Object.entries(entries).map(([name, file]) => [path.resolve(file), name]));
+}
+
+/**
+ * Lists the output files of every entry in the bundle: its JS file, the shared
+ * chunks it statically imports and the CSS of both. Entries whose empty JS
+ * chunk was removed by removeEmptyJsChunksPlugin get `js: null` and are found
+ * through their CSS asset.
+ *
+ * @returns {Object<string, {js: string|null, css: string[], imports: string[]}>}
+ */
+function collectBundleEntries(bundle, entryNames) {
+    const chunkByFile = file => bundle[file]?.type === 'chunk' ? bundle[file] : null;
+
+    // Shared chunks imported statically, depth first, each once
+    const collectImports = (chunk, seen = new Set()) => {
+        chunk.imports.forEach(file => {
+            if (seen.has(file)) return;
+            seen.add(file);
+            const imported = chunkByFile(file);
+            if (imported) collectImports(imported, seen);
+        });
+        return seen;
+    };
+
+    const entries = {};
+    Object.values(bundle)
+        .filter(chunk => chunk.type === 'chunk' && chunk.isEntry)
+        .map(chunk => ({chunk, name: entryNames.get(chunk.facadeModuleId) || chunk.name}))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(({chunk, name}) => {
+            const imports = [...collectImports(chunk)].filter(file => bundle[file]);
+            const css = new Set(chunk.viteMetadata?.importedCss);
+            imports.forEach(file => chunkByFile(file)?.viteMetadata?.importedCss.forEach(cssFile => css.add(cssFile)));
+
+            entries[name] = {js: chunk.fileName, css: [...css], imports};
+        });
+
+    // CSS of entries and shared chunks is listed above; what is left belongs to CSS-only entries
+    const listedCss = new Set(Object.values(entries).flatMap(entry => entry.css));
+    Object.values(bundle)
+        .filter(asset => asset.type === 'asset' && asset.fileName.endsWith('.css') && !listedCss.has(asset.fileName))
+        .forEach(asset => {
+            const name = asset.names?.[0]?.replace(/\.css$/, '');
+            if (name && !entries[name]) {
+                entries[name] = {js: null, css: [asset.fileName], imports: []};
+            }
+        });
+
+    return entries;
+}
+
+/**
+ * Runs `worker` over `items` with at most `limit` calls in flight,
+ * resolving with the results in the original order
+ */
+async function runPool(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const lanes = Array.from({length: Math.min(limit, items.length)}, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(lanes);
+    return results;
+}
+
+function formatBytes(bytes) {
+    const sign = bytes < 0 ? '-' : '';
+    const value = Math.abs(bytes);
+    if (value < 1024) {
+        return `${sign}${value} B`;
+    }
+    if (value < 1024 * 1024) {
+        return `${sign}${(value / 1024).toFixed(1)} kB`;
+    }
+    return `${sign}${(value / 1024 / 1024).toFixed(2)} MB`;
+}
@@ -1,35 +1,84 @@
-import {defineConfig} from 'vite';
+import {defineConfig, loadEnv} from 'vite';
 import path from 'path';
 import autoprefixer from 'autoprefixer';
-import purgecssPkg from '@fullhuman/postcss-purgecss';
 import sass from 'sass';
-import nunjucks from 'vite-plugin-nunjucks'
-import pagesData from './src/views/pages.json';
-import data from './src/views/data.json';
 import {ViteImageOptimizer} from 'vite-plugin-image-optimizer';
-import {componentEntries, globalEntries, pageHtmlFiles} from "./vite-files.js";
+import {componentEntries, globalEntries, pageHtmlFiles, toPageName} from "./vite-files.js";
+import {readPageMeta} from "./scripts/generate-pages.js";
+import {loadGlobalData, loadTemplateData, readJson} from "./scripts/template-data.js";
+import {imageFilters} from "./scripts/image-manifest.js";
+import {purgeCssMustKeep, purgeCssOptions} from "./scripts/purgecss-options.js";
+import {feConfig, resolvePath} from "./scripts/fe-config.js";
+import {purgeCssWithReport} from "./scripts/purgecss-report.js";
 import {
+    assetManifestPlugin,
+    bundleReportPlugin,
     multiPageDevPlugin,
+    nunjucksPagesPlugin,
+    pageFrontMatterPlugin,
+    pagesWatchPlugin,
+    purgeCssReportPlugin,
     publicFontConverterPlugin,
     publicImageWebpPlugin,
-    removeEmptyJsChunksPlugin
+    removeEmptyJsChunksPlugin,
+    searchSuggestionsMockPlugin,
+    sizeBudgetPlugin,
+    templateDataWatchPlugin
 } from "./vite-plugins.js";
 
 
-const purgecss = purgecssPkg.default || purgecssPkg;
+const pagesFile = path.join(resolvePath(feConfig.src.views), 'pages.json');
+
+const readPagesJson = () => {
+    const pages = readJson(pagesFile);
+    return Array.isArray(pages) ? pages : [];
+};
+
+/**
+ * Nunjucks variables keyed by page name. The object is filled in place
+ * so the nunjucks plugin picks up pages and data changed while the dev server
+ * runs. data.json and pages.json are read here rather than imported, as an
+ * imported JSON file would make Vite restart on every edit.
+ * Each page gets data.json with its own `<page>.data.json` deep-merged over
+ * it; a component's `*.data.json` only applies while that component renders
+ * (see createComponentDataEnvironment in vite-plugins.js).
+ */
+const pageVariables = {};
+let pagesData = [];
+
+const updatePageVariables = (pages) => {
+    const globalData = loadGlobalData();
+
+    // Built aside first: if a data file throws, pages keep the last good variables
+    const next = Object.fromEntries(pageHtmlFiles.map(file => [toPageName(file), {
+        ...loadTemplateData(file, globalData),
+        pages,
+        pageMeta: readPageMeta(file)
+    }]));
+
+    pagesData = pages;
+    Object.keys(pageVariables).forEach(key => delete pageVariables[key]);
+    Object.assign(pageVariables, next);
+};
+
+const reloadTemplateData = (changedFiles) => {
+    updatePageVariables(changedFiles.includes(pagesFile) ? readPagesJson() : pagesData);
+};
 
 export default defineConfig(({mode}) => {
-    const isProduction = mode === 'production';
+    // `--mode analyze` is a production build that also writes reports/bundle-report.{json,html}
+    const isAnalyze = mode === 'analyze';
+    const isProduction = mode === 'production' || isAnalyze;
     const isPublic = mode === 'public';
 
     if (isPublic) {
         return {
-            publicDir: 'src/assets-raw',
+            publicDir: resolvePath(feConfig.public.src),
             build: {
-                outDir: 'public',
+                outDir: resolvePath(feConfig.public.outDir),
                 emptyOutDir: true,
                 rollupOptions: {
-                    input: {empty: path.resolve(__dirname, 'src/js/empty.js')},
+                    input: {empty: resolvePath(`${feConfig.src.js}/empty.js`)},
                     onwarn(warning, warn) {
                         if (warning.code === 'EMPTY_BUNDLE') {
                             return;
@@ -42,8 +91,21 @@ export default defineConfig(({mode}) => {
             },
             plugins: [
                 removeEmptyJsChunksPlugin(),
-                publicFontConverterPlugin(),
-                publicImageWebpPlugin({quality: 80}),
+                publicFontConverterPlugin({
+                    scss: `${feConfig.src.scss}/base/_b.fonts.generated.scss`,
+                    fontsUrl: '/public/fonts',
+                    familyName: font => font.postScriptName,
+                    subset: {
+                        ranges: {
+                            latin: 'U+0000-00FF, U+0131, U+0152-0153, U+02BB-02BC, U+02C6, U+02DA, U+02DC, U+0304, U+0308, U+0329, U+2000-206F, U+20AC, U+2122, U+2191, U+2193, U+2212, U+2215, U+FEFF, U+FFFD'
+                        }
+                    }
+                }),
+                publicImageWebpPlugin({quality: 80}, {
+                    avif: {quality: 60},
+                    widths: [480, 768, 1200, 1920],
+                    manifest: feConfig.public.imageManifest
+                }),
                 ViteImageOptimizer({
                     test: /\.(jpe?g|png)$/i,
                     jpeg: {quality: 75, progressive: true, mozjpeg: true},
@@ -54,31 +116,45 @@ export default defineConfig(({mode}) => {
         };
     }
 
+    if (!isProduction) {
+        updatePageVariables(readPagesJson());
+    }
+
+    // PURGECSS_REPORT=true writes reports/purgecss-report.json, PURGECSS_DRY_RUN=true
+    // reports what would be purged without removing anything (also read from .env files)
+    const env = loadEnv(mode, __dirname, 'PURGECSS_');
+    const isEnabled = value => Boolean(value) && !['0', 'false'].includes(value);
+    const purgeReport = isEnabled(env.PURGECSS_REPORT) || isEnabled(env.PURGECSS_DRY_RUN);
+    const purgeDryRun = isEnabled(env.PURGECSS_DRY_RUN);
+    const purgeResults = new Map();
+
+    const hash = feConfig.dist.hash ? '.[hash]' : '';
+
     return {
-        base: isProduction ? '/dist' : "/",
+        base: isProduction ? feConfig.dist.base : "/",
         resolve: {
             alias: {
-                '@js': path.resolve(__dirname, 'src/js'),
-                '@scss': path.resolve(__dirname, 'src/scss')
+                '@js': resolvePath(feConfig.src.js),
+                '@scss': resolvePath(feConfig.src.scss)
             }
         },
         build: {
-            outDir: '../Web/wwwroot/dist',
+            outDir: resolvePath(feConfig.dist.outDir),
             rollupOptions: {
                 input: {...componentEntries, ...globalEntries},
                 output: {
                     entryFileNames: ({name}) =>
                         name === 'global'
-                            ? 'global/[name].min.js'
-                            : `components/[name]/[name].min.js`,
+                            ? `global/[name]${hash}.min.js`
+                            : `components/[name]/[name]${hash}.min.js`,
                     assetFileNames: ({names}) => {
                         const name = names[0];
                         if (name?.endsWith('.css')) {
                             return name === 'global.css'
-                                ? 'global/global.min.css'
-                                : `components/[name]/[name].min.css`;
+                                ? `global/global${hash}.min.css`
+                                : `components/[name]/[name]${hash}.min.css`;
                         }
-                        return 'assets/[name][extname]';
+                        return `assets/[name]${hash}[extname]`;
                     },
                     chunkFileNames: () => 'chunks/[name].[hash].min.js',
                 }
@@ -100,34 +176,33 @@ export default defineConfig(({mode}) => {
             postcss: {
                 plugins: [
                     autoprefixer(),
-                    purgecss({
-                        content: [
-                            '../Web/Components/**/*.cshtml',
-                            '../Web/Views/**/*.cshtml',
-                            '../Web/Features/**/*.cshtml',
-                            'src/views/**/*.{njk,js,html}',
-                            'src/js/**/*.js',
-                        ],
-                        safelist: [/^swiper/, /^air-datepicker/, /^-/, /^faded-/, /^hidden/, /^show/],
-                        defaultExtractor: (content) =>
-                            content.match(/[\w\-\/:%]+(?<!:)/g) || [],
-                    }),
+                    purgeCssWithReport(purgeCssOptions, {report: purgeResults, dryRun: purgeDryRun}),
                 ],
             },
         },
         plugins: isProduction ?
             [
-                removeEmptyJsChunksPlugin()
+                purgeCssReportPlugin({
+                    results: purgeResults,
+                    purgeOptions: purgeCssOptions,
+                    mustKeep: purgeCssMustKeep,
+                    output: purgeReport && 'reports/purgecss-report.json'
+                }),
+                removeEmptyJsChunksPlugin(),
+                feConfig.dist.manifest && assetManifestPlugin({fileName: feConfig.dist.manifest}),
+                sizeBudgetPlugin({budgets: feConfig.budgets, history: 'reports/bundle-sizes.json', dryRun: purgeDryRun}),
+                isAnalyze && bundleReportPlugin({output: 'reports/bundle-report'})
             ] :
             [
-                nunjucks({
-                    templatesDir: path.resolve(__dirname, 'src/views'),
-                    variables: pageHtmlFiles.reduce((vars, file) => {
-                        const key = path.basename(file)
-                        vars[key] = {...data, pages: pagesData}
-                        return vars
-                    }, {})
+                pageFrontMatterPlugin(),
+                nunjucksPagesPlugin({
+                    templatesDir: resolvePath(feConfig.src.views),
+                    variables: pageVariables,
+                    filters: imageFilters
                 }),
+                pagesWatchPlugin({onUpdate: updatePageVariables}),
+                templateDataWatchPlugin({onChange: reloadTemplateData}),
+                searchSuggestionsMockPlugin({delay: 150}),
                 multiPageDevPlugin()
             ]
     }
@@ -1,6 +1,12 @@
 import { defineConfig } from 'vitest/config'
+import { feConfig, resolvePath } from './scripts/fe-config.js'
 
 export default defineConfig({
+  resolve: {
+    alias: {
+      '@js': resolvePath(feConfig.src.js)
+    }
+  },
   test: {
     environment: 'jsdom',
     globals: true,
@@ -9,4 +15,4 @@ export default defineConfig({
       'tests/**/*.{test,spec}.{js,mjs,cjs,ts,mts,cts,jsx,tsx}'
     ],
   },
-})
\ No newline at end of file
+})